@@ -0,0 +1,297 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - CLOUD FUNCTIONS
+ * =====================================================
+ * Scheduled jobs that run without an admin in the browser.
+ * Mirrors the month close in js/database.js (Database.closeMonth).
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+admin.initializeApp();
+
+const db = admin.firestore();
+const { FieldValue } = admin.firestore;
+
+/**
+ * Defaults for months before the first version in settings/rules
+ * Must match APP_SETTINGS in js/firebase-config.js (see "Financial Rules"
+ * in the README)
+ */
+const DEFAULT_RULES = {
+    missedMonthFine: 50,
+    maxSkippedMonths: 3
+};
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Get the rules in force for a month from the versions in settings/rules
+ * Mirrors Utils.getRulesForMonth in js/utils.js
+ * @param {string} monthKey - e.g., "2024-12"
+ * @returns {Promise<object>} Rules
+ */
+async function getRules(monthKey) {
+    const doc = await db.collection('settings').doc('rules').get();
+    const versions = (doc.exists ? doc.data().versions || [] : [])
+        .filter(v => v.effectiveFrom <= monthKey)
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    const version = versions.pop() || {};
+
+    const rules = { ...DEFAULT_RULES };
+    Object.keys(DEFAULT_RULES).forEach(key => {
+        if (typeof version[key] === 'number') rules[key] = version[key];
+    });
+    return rules;
+}
+
+/**
+ * Whether a submission is a monthly contribution (not a loan repayment)
+ * Mirrors Database.isContribution in js/database.js
+ * @param {object} submission - Submission data
+ * @returns {boolean} Whether it counts towards the month
+ */
+function isContribution(submission) {
+    return (submission.paymentType || 'contribution') === 'contribution';
+}
+
+/**
+ * Close a month: fine every active member with no verified or pending payment for it
+ * @param {number} month - Month number (1-12)
+ * @param {number} year - Year
+ * @returns {Promise<object>} Month close summary
+ */
+async function closeMonth(month, year) {
+    const paymentMonth = `${MONTH_NAMES[month - 1]} ${year}`;
+    const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+    const monthEnd = new Date(year, month, 1);
+
+    const closeRef = db.collection('monthCloses').doc(monthKey);
+    const alreadyClosed = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(closeRef);
+        if (doc.exists && doc.data().status === 'completed') {
+            return true;
+        }
+        transaction.set(closeRef, {
+            paymentMonth,
+            status: 'running',
+            runBy: 'schedule',
+            startedAt: FieldValue.serverTimestamp(),
+            startedBy: 'system'
+        }, { merge: true });
+        return false;
+    });
+
+    if (alreadyClosed) {
+        logger.info(`${paymentMonth} was already closed`);
+        return null;
+    }
+
+    // A POP still waiting for review counts as paid (see Database.closeMonth)
+    const [membersSnapshot, submittedSnapshot, finedSnapshot] = await Promise.all([
+        db.collection('members').get(),
+        db.collection('submissions')
+            .where('paymentMonth', '==', paymentMonth)
+            .where('status', 'in', ['verified', 'pending'])
+            .get(),
+        db.collection('fines')
+            .where('paymentMonth', '==', paymentMonth)
+            .get()
+    ]);
+
+    // A loan repayment does not count as the month's contribution
+    const contributions = submittedSnapshot.docs
+        .map(doc => doc.data())
+        .filter(submission => isContribution(submission));
+    const paidMemberIds = new Set(contributions.map(submission => submission.memberId));
+    const verifiedMemberIds = new Set(contributions
+        .filter(submission => submission.status === 'verified')
+        .map(submission => submission.memberId));
+    const pendingMemberIds = [...paidMemberIds].filter(id => !verifiedMemberIds.has(id));
+    const finedMemberIds = new Set(finedSnapshot.docs.map(doc => doc.data().memberId));
+    const members = membersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    const skipped = members.filter(m => {
+        const joined = m.createdAt?.toDate?.();
+        return m.status === 'active' &&
+            !paidMemberIds.has(m.id) &&
+            (!joined || joined < monthEnd);
+    });
+
+    const rules = await getRules(monthKey);
+    const fineAmount = rules.missedMonthFine;
+
+    const toFine = skipped.filter(m => !finedMemberIds.has(m.id));
+
+    let suspendedCount = 0;
+    for (const member of toFine) {
+        const result = await recordSkippedMonth(member, {
+            paymentMonth,
+            monthKey,
+            year,
+            fineAmount,
+            maxSkippedMonths: rules.maxSkippedMonths
+        });
+        if (result.suspended) suspendedCount++;
+    }
+
+    const summary = {
+        paymentMonth,
+        status: 'completed',
+        checkedCount: members.length,
+        skippedCount: skipped.length,
+        skippedMemberIds: skipped.map(m => m.id),
+        pendingMemberIds,
+        suspendedCount,
+        fineAmount,
+        // Members already fined for this month were not charged again
+        fineTotal: (Math.round(fineAmount * 100) * toFine.length) / 100
+    };
+
+    await closeRef.update({
+        ...summary,
+        completedAt: FieldValue.serverTimestamp()
+    });
+
+    await logAction('month_closed', {
+        paymentMonth,
+        skippedCount: summary.skippedCount,
+        fineTotal: summary.fineTotal
+    });
+
+    return summary;
+}
+
+/**
+ * Record a skipped month for one member: count it, charge the fine, suspend
+ * the member at the skipped-month limit and audit it
+ * @param {object} member - Member data
+ * @param {object} details - { paymentMonth, monthKey, year, fineAmount, maxSkippedMonths }
+ */
+async function recordSkippedMonth(member, details) {
+    const { paymentMonth, monthKey, year, fineAmount, maxSkippedMonths } = details;
+    const batch = db.batch();
+    const memberRef = db.collection('members').doc(member.id);
+    const skippedMonths = (member.skippedMonths || 0) + 1;
+    const suspend = skippedMonths >= maxSkippedMonths;
+
+    batch.update(memberRef, {
+        skippedMonths: FieldValue.increment(1),
+        totalFines: FieldValue.increment(fineAmount),
+        outstandingFines: FieldValue.increment(fineAmount),
+        lastSkippedMonth: paymentMonth,
+        updatedAt: FieldValue.serverTimestamp()
+    });
+
+    // Reaching the skipped-month limit suspends the member
+    if (suspend) {
+        const reason = `Skipped ${skippedMonths} months (limit ${maxSkippedMonths})`;
+
+        batch.update(memberRef, {
+            status: 'suspended',
+            statusReason: reason,
+            statusChangedAt: FieldValue.serverTimestamp(),
+            suspendedAt: FieldValue.serverTimestamp()
+        });
+
+        batch.set(memberRef.collection('statusHistory').doc(), {
+            from: member.status || 'active',
+            to: 'suspended',
+            reason,
+            details: {},
+            changedAt: FieldValue.serverTimestamp(),
+            changedBy: 'system'
+        });
+    }
+
+    if (fineAmount > 0) {
+        batch.create(db.collection('fines').doc(`${monthKey}_${member.id}`), {
+            memberId: member.id,
+            memberName: member.name,
+            phone: member.phone,
+            paymentMonth,
+            amount: fineAmount,
+            type: 'missed_month',
+            status: 'outstanding',
+            createdAt: FieldValue.serverTimestamp()
+        });
+
+        batch.set(db.collection('interestPool').doc(year.toString()), {
+            totalFines: FieldValue.increment(fineAmount),
+            updatedAt: FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        batch.set(db.collection('ledgerEntries').doc(), {
+            type: 'fine',
+            memberId: member.id,
+            memberIds: [member.id],
+            submissionId: null,
+            reference: null,
+            description: `Missed payment fine for ${paymentMonth}`,
+            paymentMonth,
+            lines: [
+                { account: 'finesReceivable', memberId: member.id, debit: fineAmount, credit: 0 },
+                { account: 'interestPool', memberId: member.id, debit: 0, credit: fineAmount }
+            ],
+            amount: fineAmount,
+            postedAt: FieldValue.serverTimestamp(),
+            postedBy: 'system'
+        });
+    }
+
+    await batch.commit();
+
+    await logAction('month_skipped', {
+        memberId: member.id,
+        memberName: member.name,
+        paymentMonth,
+        fineAmount,
+        skippedMonths
+    });
+
+    if (suspend) {
+        await logAction('member_suspended', {
+            memberId: member.id,
+            memberName: member.name,
+            skippedMonths
+        });
+    }
+
+    return { suspended: suspend };
+}
+
+/**
+ * Write an audit log entry in the same shape as Auth.logAdminAction
+ * @param {string} action - Action type
+ * @param {object} details - Action details
+ */
+async function logAction(action, details) {
+    await db.collection('auditLogs').add({
+        action,
+        details,
+        timestamp: FieldValue.serverTimestamp(),
+        userId: 'system'
+    });
+}
+
+/**
+ * Close the previous month at 01:00 on the 1st (South African time)
+ */
+exports.monthlyClose = onSchedule({
+    schedule: '0 1 1 * *',
+    timeZone: 'Africa/Johannesburg'
+}, async () => {
+    // The runtime clock is UTC; 01:00 SAST is still the previous day in UTC
+    const now = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    const previous = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    const summary = await closeMonth(previous.getUTCMonth() + 1, previous.getUTCFullYear());
+
+    if (summary) {
+        logger.info(`Closed ${summary.paymentMonth}: ${summary.skippedCount} member(s) fined`);
+    }
+});
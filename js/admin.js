@@ -13,9 +13,21 @@ const Admin = (() => {
 
     // State
     let currentSubmission = null;
+    let currentProofs = [];
+    let currentProofIndex = 0;
     let pendingSubmissions = [];
     let verifiedSubmissions = [];
     let members = [];
+    let reconcileMismatches = [];
+    let importMatches = [];
+    let selectedMember = null;
+    let payoutPlan = null;
+    let loans = [];
+    let currentLoan = null;
+    let currentAppeal = null;
+    let reversingSubmission = null;
+    let exitSettlement = null;
+    let rotationOrder = [];
     let currentTab = 'pending';
 
     /**
@@ -65,12 +77,124 @@ const Admin = (() => {
             App.openModal('addMemberModal');
         });
 
+        // Bank statement import
+        document.getElementById('statementFile').addEventListener('change', handleStatementImport);
+        document.getElementById('approveMatchedBtn').addEventListener('click', handleApproveMatched);
+        document.getElementById('selectAllMatched').addEventListener('change', (e) => {
+            document.querySelectorAll('.matched-select').forEach(box => {
+                box.checked = e.target.checked;
+            });
+            updateApproveMatchedButton();
+        });
+
+        // Reconcile button
+        document.getElementById('reconcileBtn').addEventListener('click', openReconcile);
+        document.getElementById('applyReconcileBtn').addEventListener('click', handleApplyReconcile);
+        document.getElementById('closeReconcileModal').addEventListener('click', () => {
+            App.closeModal('reconcileModal');
+        });
+        document.getElementById('cancelReconcile').addEventListener('click', () => {
+            App.closeModal('reconcileModal');
+        });
+
+        // Member detail and reinstatement
+        document.getElementById('closeMemberModal').addEventListener('click', () => {
+            App.closeModal('memberModal');
+        });
+        document.getElementById('closeMemberDetailBtn').addEventListener('click', () => {
+            App.closeModal('memberModal');
+        });
+        document.getElementById('openReinstateBtn').addEventListener('click', openReinstate);
+        document.getElementById('openExitBtn').addEventListener('click', openExit);
+        document.getElementById('confirmExitBtn').addEventListener('click', handleExit);
+        document.getElementById('settlementLetterBtn').addEventListener('click', handleSettlementLetter);
+        document.getElementById('closeExitModal').addEventListener('click', () => {
+            App.closeModal('exitModal');
+        });
+        document.getElementById('cancelExit').addEventListener('click', () => {
+            App.closeModal('exitModal');
+        });
+        document.getElementById('confirmReinstateBtn').addEventListener('click', handleReinstate);
+        document.getElementById('closeReinstateModal').addEventListener('click', () => {
+            App.closeModal('reinstateModal');
+        });
+        document.getElementById('cancelReinstate').addEventListener('click', () => {
+            App.closeModal('reinstateModal');
+        });
+
+        // Reversals
+        document.getElementById('confirmReverseBtn').addEventListener('click', handleReverse);
+        document.getElementById('reverseCorrect').addEventListener('change', (e) => {
+            document.getElementById('reverseCorrection').style.display = e.target.checked ? 'block' : 'none';
+        });
+        document.getElementById('closeReverseModal').addEventListener('click', () => {
+            App.closeModal('reverseModal');
+        });
+        document.getElementById('cancelReverse').addEventListener('click', () => {
+            App.closeModal('reverseModal');
+        });
+
+        // Fine appeals
+        document.getElementById('appealStatusFilter').addEventListener('change', loadAppeals);
+        document.getElementById('waiveFineBtn').addEventListener('click', () => handleDecideAppeal(true));
+        document.getElementById('declineAppealBtn').addEventListener('click', () => handleDecideAppeal(false));
+        document.getElementById('closeAppealModal').addEventListener('click', () => {
+            App.closeModal('appealModal');
+        });
+        document.getElementById('cancelAppeal').addEventListener('click', () => {
+            App.closeModal('appealModal');
+        });
+
+        // Loans
+        document.getElementById('newLoanBtn').addEventListener('click', openLoanApplication);
+        document.getElementById('saveLoanBtn').addEventListener('click', handleSaveLoan);
+        document.getElementById('approveLoanBtn').addEventListener('click', handleApproveLoan);
+        document.getElementById('declineLoanBtn').addEventListener('click', handleDeclineLoan);
+        ['loanPrincipal', 'loanTerm'].forEach(id => {
+            document.getElementById(id).addEventListener('input', updateLoanTermsHint);
+        });
+        document.getElementById('closeLoanModal').addEventListener('click', () => {
+            App.closeModal('loanModal');
+        });
+        document.getElementById('cancelLoan').addEventListener('click', () => {
+            App.closeModal('loanModal');
+        });
+        document.getElementById('closeLoanDetailModal').addEventListener('click', () => {
+            App.closeModal('loanDetailModal');
+        });
+        document.getElementById('closeLoanDetailBtn').addEventListener('click', () => {
+            App.closeModal('loanDetailModal');
+        });
+
+        // Rotation
+        document.getElementById('saveRotationBtn').addEventListener('click', handleSaveRotation);
+        document.getElementById('rotationOrder').addEventListener('click', handleRotationMove);
+        document.getElementById('rotationScheduleBody').addEventListener('click', handleRotationPayout);
+
         // Member search
         document.getElementById('memberSearch').addEventListener('input', Utils.debounce(filterMembers, 300));
 
         // Generate report button
         document.getElementById('generateReportBtn').addEventListener('click', generateReport);
 
+        // Month close button
+        document.getElementById('closeMonthBtn').addEventListener('click', handleCloseMonth);
+
+        // Bank interest form
+        document.getElementById('bankInterestForm').addEventListener('submit', handleRecordInterest);
+        document.getElementById('rulesForm').addEventListener('submit', handleSaveRules);
+        document.getElementById('rulesEffectiveFrom').addEventListener('change', fillRulesForm);
+
+        // Year-end payout
+        document.getElementById('payoutYear').addEventListener('change', updatePayoutNotice);
+        document.getElementById('payoutMethod').addEventListener('change', () => {
+            payoutPlan = null;
+            document.getElementById('payoutReview').style.display = 'none';
+        });
+        document.getElementById('preparePayoutBtn').addEventListener('click', handlePreparePayout);
+        document.getElementById('confirmPayoutBtn').addEventListener('click', handleConfirmPayout);
+        document.getElementById('closeYearBtn').addEventListener('click', handleCloseYear);
+
         // Modal close buttons
         document.getElementById('closeSubmissionModal').addEventListener('click', () => {
             App.closeModal('submissionModal');
@@ -99,6 +223,24 @@ const Admin = (() => {
         });
         document.getElementById('confirmRejectBtn').addEventListener('click', handleReject);
 
+        // Proof gallery
+        document.getElementById('prevProofBtn').addEventListener('click', () => showProof(currentProofIndex - 1));
+        document.getElementById('nextProofBtn').addEventListener('click', () => showProof(currentProofIndex + 1));
+
+        // Jump to the earlier submission a reused proof matches
+        document.getElementById('similarProofsList').addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-submission-id]');
+            if (!button) return;
+
+            try {
+                const submission = await Database.getSubmission(button.dataset.submissionId);
+                if (submission) openSubmissionDetail(submission);
+            } catch (error) {
+                console.error('Error loading submission:', error);
+                App.showToast('Failed to load submission', 'error');
+            }
+        });
+
         // Save member button
         document.getElementById('saveMemberBtn').addEventListener('click', handleAddMember);
     }
@@ -204,6 +346,15 @@ const Admin = (() => {
             case 'members':
                 loadMembers();
                 break;
+            case 'appeals':
+                loadAppeals();
+                break;
+            case 'loans':
+                loadLoans();
+                break;
+            case 'rotation':
+                loadRotation();
+                break;
             case 'reports':
                 loadReportsData();
                 break;
@@ -215,6 +366,9 @@ const Admin = (() => {
      */
     async function loadDashboardData() {
         try {
+            // Load the financial rule versions
+            await Database.loadRules();
+
             // Load stats
             const stats = await Database.getDashboardStats();
             updateDashboardStats(stats);
@@ -228,6 +382,12 @@ const Admin = (() => {
             // Populate report month dropdown
             populateReportMonths();
 
+            // Populate month close dropdown
+            populateCloseMonths();
+
+            // Populate payout year dropdown
+            populatePayoutYears();
+
         } catch (error) {
             console.error('Error loading dashboard data:', error);
             App.showToast('Failed to load some data', 'warning');
@@ -242,7 +402,10 @@ const Admin = (() => {
         document.getElementById('statTotalSavings').textContent = Utils.formatCurrency(stats.totalSavings || 0);
         document.getElementById('statPending').textContent = stats.pendingCount || 0;
         document.getElementById('statInterestPool').textContent = Utils.formatCurrency(stats.interestPool || 0);
+        document.getElementById('statInterestBreakdown').textContent =
+            `Fines ${Utils.formatCurrency(stats.interestPoolFines || 0)} · Interest ${Utils.formatCurrency(stats.interestPoolBankInterest || 0)}`;
         document.getElementById('pendingBadge').textContent = stats.pendingCount || 0;
+        document.getElementById('appealsBadge').textContent = stats.pendingAppeals || 0;
     }
 
     /**
@@ -312,10 +475,14 @@ const Admin = (() => {
                 <span class="badge badge-warning">Pending</span>
             </div>
             <div class="pending-card-body">
+                ${getProofThumbHtml(submission)}
                 <div class="pending-amount">${Utils.formatCurrency(submission.amount)}</div>
                 <div class="pending-meta">
                     <span>${submission.paymentMonth}</span>
-                    ${submission.fineAmount ? `<span class="fine-badge">+R${submission.fineAmount} fine</span>` : ''}
+                    ${submission.paymentType === 'loan_repayment' ? '<span class="badge badge-info">Loan repayment</span>' : ''}
+                    ${submission.correctedFrom ? '<span class="badge badge-info">Correction</span>' : ''}
+                    ${submission.suspectedDuplicate ? '<span class="badge badge-error" title="Same phone, month, amount and payment date as an earlier submission">Possible duplicate</span>' : ''}
+                    ${Utils.getNetFine(submission) ? `<span class="fine-badge">+R${Utils.getNetFine(submission)} fine</span>` : ''}
                 </div>
             </div>
             <div class="pending-card-footer">
@@ -327,6 +494,22 @@ const Admin = (() => {
         return card;
     }
 
+    /**
+     * Thumbnail of a submission's main proof for the list cards
+     */
+    function getProofThumbHtml(submission) {
+        // Only our own JPEG data URLs (the field is written by the submit page)
+        if (!/^data:image\/jpeg;base64,[A-Za-z0-9+/=]+$/.test(submission.proofThumbnail || '')) return '';
+
+        const extra = submission.additionalProofs?.length || 0;
+        return `
+            <span class="proof-thumb">
+                <img src="${submission.proofThumbnail}" alt="Proof from ${Utils.escapeHtml(submission.name)}" loading="lazy">
+                ${extra ? `<span class="proof-thumb-count">+${extra}</span>` : ''}
+            </span>
+        `;
+    }
+
     /**
      * Open submission detail modal
      */
@@ -341,23 +524,32 @@ const Admin = (() => {
             submission.paymentDate?.toDate?.() || submission.paymentDate,
             'long'
         );
-        document.getElementById('detailPaymentMonth').textContent = submission.paymentMonth;
+        document.getElementById('detailPaymentMonth').textContent = submission.paymentType === 'loan_repayment'
+            ? `${submission.paymentMonth} (loan repayment)`
+            : submission.paymentMonth;
         document.getElementById('detailMethod').textContent = getPaymentMethodLabel(submission.paymentMethod);
         document.getElementById('detailReference').textContent = submission.reference;
         document.getElementById('detailSubmittedAt').textContent = Utils.formatDate(
             submission.submittedAt?.toDate?.() || submission.submittedAt,
             'long'
         );
+        document.getElementById('detailSanitized').textContent = submission.sanitized
+            ? 'Removed (no location or device details)'
+            : 'Not checked (older upload)';
 
         // Show/hide fine row
         const fineRow = document.getElementById('detailFineRow');
         if (submission.fineAmount) {
             fineRow.style.display = 'flex';
-            document.getElementById('detailFine').textContent = Utils.formatCurrency(submission.fineAmount);
+            document.getElementById('detailFine').textContent = Utils.formatCurrency(Utils.getNetFine(submission)) +
+                (submission.fineWaivedAmount ? ` (${Utils.formatCurrency(submission.fineWaivedAmount)} waived)` : '');
         } else {
             fineRow.style.display = 'none';
         }
 
+        // Compare with what OCR read off the proof at submission
+        showOcrComparison(submission);
+
         // Show/hide notes
         const notesSection = document.getElementById('notesSection');
         if (submission.notes) {
@@ -368,7 +560,9 @@ const Admin = (() => {
         }
 
         // Load proof image
-        loadProofImage(submission.proofURL);
+        currentProofs = Utils.getProofs(submission);
+        showProof(0);
+        loadSimilarProofs(submission);
 
         // Show/hide action buttons based on status
         const approveBtn = document.getElementById('approveBtn');
@@ -384,13 +578,52 @@ const Admin = (() => {
         App.openModal('submissionModal');
     }
 
+    /**
+     * Show one of the current submission's proof files
+     * @param {number} index - Position in currentProofs
+     */
+    async function showProof(index) {
+        const nav = document.getElementById('proofGalleryNav');
+        if (currentProofs.length === 0) {
+            nav.style.display = 'none';
+            return;
+        }
+
+        currentProofIndex = (index + currentProofs.length) % currentProofs.length;
+        const proof = currentProofs[currentProofIndex];
+
+        nav.style.display = currentProofs.length > 1 ? 'flex' : 'none';
+        document.getElementById('proofCounter').textContent =
+            `${currentProofIndex + 1} of ${currentProofs.length}`;
+
+        // Proof images are only downloaded when viewed
+        document.getElementById('proofViewer').classList.add('loading');
+
+        let url;
+        try {
+            url = await Storage.getProofURL(proof);
+        } catch (error) {
+            console.error('Error loading proof:', error);
+            url = '';
+        }
+
+        // The admin may have moved on while the proof was downloading
+        if (currentProofs[currentProofIndex] !== proof) return;
+        loadProofImage(url, proof.sourceType === 'application/pdf');
+    }
+
     /**
      * Load proof image
+     * @param {string} url - Image URL or base64 data URL
+     * @param {boolean} isDocument - Rendered PDF pages (scroll instead of shrinking to fit)
      */
-    function loadProofImage(url) {
+    function loadProofImage(url, isDocument = false) {
         const proofImage = document.getElementById('proofImage');
         const proofViewer = document.getElementById('proofViewer');
 
+        // Clear an error left by the previous image (the gallery reuses the viewer)
+        proofViewer.querySelector('.proof-error')?.remove();
+        proofViewer.classList.toggle('is-document', isDocument);
         proofViewer.classList.add('loading');
         proofImage.style.display = 'none';
 
@@ -401,17 +634,79 @@ const Admin = (() => {
 
         proofImage.onerror = () => {
             proofViewer.classList.remove('loading');
-            proofViewer.innerHTML = `
+            proofViewer.insertAdjacentHTML('beforeend', `
                 <div class="proof-error">
                     <p>Failed to load proof image</p>
                     <a href="${url}" target="_blank" class="btn btn-ghost btn-sm">Open in new tab</a>
                 </div>
-            `;
+            `);
         };
 
         proofImage.src = url;
     }
 
+    /**
+     * Highlight where the values read off the proof disagree with the form
+     */
+    function showOcrComparison(submission) {
+        const mismatches = OCR.compare(submission);
+        const fieldRows = {
+            amount: document.getElementById('detailAmount').closest('.detail-row'),
+            paymentDate: document.getElementById('detailPaymentDate').closest('.detail-row'),
+            reference: document.getElementById('detailOcrReferenceRow')
+        };
+
+        Object.entries(fieldRows).forEach(([field, row]) => {
+            row.classList.toggle('mismatch', mismatches.some(m => m.field === field));
+        });
+
+        const referenceRow = fieldRows.reference;
+        if (submission.ocr?.reference) {
+            document.getElementById('detailOcrReference').textContent = submission.ocr.reference;
+            referenceRow.style.display = 'flex';
+        } else {
+            referenceRow.style.display = 'none';
+        }
+
+        const box = document.getElementById('ocrMismatchBox');
+        if (mismatches.length > 0) {
+            document.getElementById('ocrMismatchList').innerHTML = mismatches.map(m => `
+                <li>${m.label}: entered ${Utils.escapeHtml(m.typed)}, proof shows ${Utils.escapeHtml(m.read)}</li>
+            `).join('');
+            box.style.display = 'flex';
+        } else {
+            box.style.display = 'none';
+        }
+    }
+
+    /**
+     * Warn when the proof looks the same as an earlier submission's proof
+     */
+    async function loadSimilarProofs(submission) {
+        const box = document.getElementById('similarProofsBox');
+        const list = document.getElementById('similarProofsList');
+        box.style.display = 'none';
+        list.innerHTML = '';
+
+        try {
+            const matches = await Database.findSimilarProofs(submission);
+
+            // Another submission may have been opened while we were searching
+            if (currentSubmission !== submission || matches.length === 0) return;
+
+            list.innerHTML = matches.map(match => `
+                <li>
+                    <button type="button" data-submission-id="${match.submissionId}">${Utils.escapeHtml(match.reference)}</button>
+                    — ${Utils.escapeHtml(match.name)}, ${Utils.escapeHtml(match.paymentMonth || '')}
+                    ${match.phone === submission.phone ? '(same member)' : '(different member)'}
+                </li>
+            `).join('');
+            box.style.display = 'flex';
+        } catch (error) {
+            console.error('Error checking for similar proofs:', error);
+        }
+    }
+
     /**
      * Handle submission approval
      */
@@ -432,18 +727,7 @@ const Admin = (() => {
 
         try {
             // Find or create member
-            let member = await Auth.lookupMember(currentSubmission.name, currentSubmission.phone);
-            let memberId;
-
-            if (!member) {
-                // Create new member
-                memberId = await Database.addMember({
-                    name: currentSubmission.name,
-                    phone: currentSubmission.phone
-                });
-            } else {
-                memberId = member.id;
-            }
+            const memberId = await resolveMemberId(currentSubmission);
 
             // Approve submission
             await Database.approveSubmission(currentSubmission.id, memberId);
@@ -464,12 +748,35 @@ const Admin = (() => {
 
         } catch (error) {
             console.error('Approval error:', error);
-            App.showToast('Failed to approve. Please try again.', 'error');
+            if (error.code === 'already-processed') {
+                handleAlreadyProcessed(error, 'submissionModal');
+            } else if (error.code === 'member-exited' || error.code === 'loan-mismatch') {
+                App.showToast(error.message, 'error');
+            } else {
+                App.showToast('Failed to approve. Please try again.', 'error');
+            }
         } finally {
             Utils.setButtonLoading(approveBtn, false);
         }
     }
 
+    /**
+     * Find the member a submission belongs to, creating them if needed
+     * @returns {Promise<string>} Member ID
+     */
+    async function resolveMemberId(submission) {
+        const member = await Auth.lookupMember(submission.name, submission.phone);
+
+        if (member) {
+            return member.id;
+        }
+
+        return Database.addMember({
+            name: submission.name,
+            phone: submission.phone
+        });
+    }
+
     /**
      * Handle submission rejection
      */
@@ -506,12 +813,28 @@ const Admin = (() => {
 
         } catch (error) {
             console.error('Rejection error:', error);
-            App.showToast('Failed to reject. Please try again.', 'error');
+            if (error.code === 'already-processed') {
+                reasonInput.value = '';
+                handleAlreadyProcessed(error, 'rejectModal');
+            } else {
+                App.showToast('Failed to reject. Please try again.', 'error');
+            }
         } finally {
             Utils.setButtonLoading(rejectBtn, false);
         }
     }
 
+    /**
+     * Handle a submission that another admin processed first
+     * Shows who processed it, closes the modal and refreshes the stale lists
+     */
+    function handleAlreadyProcessed(error, modalId) {
+        App.showToast(error.message, 'warning', 6000);
+        App.closeModal(modalId);
+        currentSubmission = null;
+        loadDashboardData();
+    }
+
     /**
      * Load verified submissions
      */
@@ -576,17 +899,258 @@ const Admin = (() => {
                 <span class="badge badge-success">Verified</span>
             </div>
             <div class="verified-card-body">
+                ${getProofThumbHtml(submission)}
                 <div class="verified-amount">${Utils.formatCurrency(submission.amount)}</div>
                 <div class="verified-month">${submission.paymentMonth}</div>
             </div>
             <div class="verified-card-footer">
                 <span>Verified: ${verifiedAt}</span>
+                <button type="button" class="btn btn-ghost btn-sm reverse-btn">Reverse</button>
             </div>
         `;
 
+        card.querySelector('.reverse-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openReverse(submission);
+        });
+
         return card;
     }
 
+    /**
+     * Open the reverse modal for a verified submission
+     */
+    async function openReverse(submission) {
+        reversingSubmission = submission;
+
+        if (members.length === 0) {
+            members = await Database.getMembers();
+        }
+
+        document.getElementById('reverseSummary').textContent =
+            `${submission.name} · ${Utils.formatCurrency(submission.amount)} for ${submission.paymentMonth} (${submission.reference}). ` +
+            'The member, pool and ledger totals will be reduced by this payment.';
+        document.getElementById('reverseReason').value = '';
+        document.getElementById('reverseCorrect').checked = false;
+        document.getElementById('reverseCorrection').style.display = 'none';
+
+        const memberSelect = document.getElementById('correctMember');
+        memberSelect.innerHTML = members.map(m =>
+            `<option value="${m.id}">${Utils.escapeHtml(m.name)} (${Utils.formatPhone(m.phone)})</option>`
+        ).join('');
+        memberSelect.value = submission.memberId || '';
+
+        const monthSelect = document.getElementById('correctMonth');
+        const months = Utils.generateMonthOptions(12).map(opt => opt.value);
+        if (!months.includes(submission.paymentMonth)) months.unshift(submission.paymentMonth);
+        monthSelect.innerHTML = months.map(month => `<option value="${month}">${month}</option>`).join('');
+        monthSelect.value = submission.paymentMonth;
+
+        document.getElementById('correctAmount').value = submission.amount;
+
+        const paymentDate = submission.paymentDate?.toDate?.() || new Date(submission.paymentDate);
+        document.getElementById('correctDate').value = isNaN(paymentDate) ? '' : OCR.toDateKey(paymentDate);
+
+        App.openModal('reverseModal');
+    }
+
+    /**
+     * Handle reversing a verified submission
+     */
+    async function handleReverse() {
+        if (!reversingSubmission) return;
+
+        const reason = document.getElementById('reverseReason').value.trim();
+
+        if (!reason) {
+            App.showToast('Please give a reason for the reversal', 'warning');
+            return;
+        }
+
+        let correction = null;
+        if (document.getElementById('reverseCorrect').checked) {
+            const member = members.find(m => m.id === document.getElementById('correctMember').value);
+            correction = {
+                name: member?.name,
+                phone: member?.phone,
+                amount: parseFloat(document.getElementById('correctAmount').value),
+                paymentMonth: document.getElementById('correctMonth').value,
+                paymentDate: document.getElementById('correctDate').value || null
+            };
+        }
+
+        const reverseBtn = document.getElementById('confirmReverseBtn');
+        Utils.setButtonLoading(reverseBtn, true);
+
+        try {
+            const correctedId = await Database.reverseSubmission(reversingSubmission.id, reason, correction);
+            App.closeModal('reverseModal');
+            App.showToast(correctedId
+                ? `${reversingSubmission.reference} reversed. The corrected copy is in Pending.`
+                : `${reversingSubmission.reference} reversed`, 'success');
+            reversingSubmission = null;
+            loadDashboardData();
+
+        } catch (error) {
+            console.error('Reverse submission error:', error);
+            App.showToast(error.message || 'Failed to reverse payment', 'error');
+        } finally {
+            Utils.setButtonLoading(reverseBtn, false);
+        }
+    }
+
+    /**
+     * Handle bank statement file selection
+     */
+    async function handleStatementImport(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const resultsEl = document.getElementById('importResults');
+        const summaryEl = document.getElementById('importSummary');
+
+        try {
+            const text = await file.text();
+            const lines = BankImport.parseStatement(text);
+            const pending = await Database.getPendingSubmissions();
+            const result = BankImport.matchLines(lines, pending);
+
+            importMatches = result.matched;
+            renderImportResults(result);
+
+            summaryEl.textContent = `${lines.length} credit line(s) read from ${file.name}, checked against ${pending.length} pending submission(s).`;
+            resultsEl.style.display = 'block';
+
+            await Auth.logAdminAction('statement_imported', {
+                fileName: file.name,
+                lines: lines.length,
+                matched: result.matched.length,
+                ambiguous: result.ambiguous.length,
+                unmatched: result.unmatched.length
+            });
+
+        } catch (error) {
+            console.error('Statement import error:', error);
+            App.showToast(error.message || 'Failed to read statement', 'error');
+            resultsEl.style.display = 'none';
+        } finally {
+            e.target.value = '';
+        }
+    }
+
+    /**
+     * Render matched, ambiguous and unmatched statement lines
+     */
+    function renderImportResults(result) {
+        const lineCells = (line) => `
+            <td>${Utils.formatDate(line.date, 'short')}</td>
+            <td>${Utils.formatCurrency(line.amount)}</td>
+            <td>${Utils.escapeHtml(line.description)}</td>
+        `;
+        const submissionLabel = (s) =>
+            `${Utils.escapeHtml(s.name)} · ${Utils.formatCurrency(s.amount)} · <span class="mono">${Utils.escapeHtml(s.reference)}</span>`;
+        const basisLabels = { reference: 'Reference', amount_date: 'Amount & date' };
+
+        document.getElementById('matchedBody').innerHTML = result.matched.map((match, index) => `
+            <tr>
+                <td><input type="checkbox" class="matched-select" data-index="${index}" checked title="Select line"></td>
+                ${lineCells(match.line)}
+                <td>${submissionLabel(match.submission)}</td>
+                <td>${basisLabels[match.basis]}</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('ambiguousBody').innerHTML = result.ambiguous.map(item => `
+            <tr>
+                ${lineCells(item.line)}
+                <td>
+                    <span class="form-hint">${Utils.escapeHtml(item.reason)}</span><br>
+                    ${item.candidates.map(submissionLabel).join('<br>')}
+                </td>
+            </tr>
+        `).join('');
+
+        document.getElementById('unmatchedBody').innerHTML = result.unmatched.map(item => `
+            <tr>${lineCells(item.line)}</tr>
+        `).join('');
+
+        document.getElementById('matchedCount').textContent = result.matched.length;
+        document.getElementById('ambiguousCount').textContent = result.ambiguous.length;
+        document.getElementById('unmatchedCount').textContent = result.unmatched.length;
+        document.getElementById('selectAllMatched').checked = true;
+
+        document.querySelectorAll('.matched-select').forEach(box => {
+            box.addEventListener('change', updateApproveMatchedButton);
+        });
+        updateApproveMatchedButton();
+    }
+
+    /**
+     * Enable approve button when matched lines are selected
+     */
+    function updateApproveMatchedButton() {
+        const selected = document.querySelectorAll('.matched-select:checked').length;
+        const approveBtn = document.getElementById('approveMatchedBtn');
+        approveBtn.disabled = selected === 0;
+        approveBtn.querySelector('.btn-text').textContent = selected
+            ? `Approve ${selected} Selected`
+            : 'Approve Selected';
+    }
+
+    /**
+     * Approve the selected matched submissions
+     */
+    async function handleApproveMatched() {
+        const selected = Array.from(document.querySelectorAll('.matched-select:checked'))
+            .map(box => importMatches[parseInt(box.dataset.index)]);
+
+        if (selected.length === 0) return;
+
+        const total = selected.reduce((sum, match) => sum + match.submission.amount, 0);
+        const confirmed = await App.showConfirmModal({
+            title: 'Approve Matched Payments',
+            message: `Approve ${selected.length} submission(s) totalling ${Utils.formatCurrency(total)}?`,
+            confirmText: 'Approve'
+        });
+
+        if (!confirmed) return;
+
+        const approveBtn = document.getElementById('approveMatchedBtn');
+        Utils.setButtonLoading(approveBtn, true);
+
+        let approved = 0;
+        const failures = [];
+
+        for (const match of selected) {
+            try {
+                const memberId = await resolveMemberId(match.submission);
+                await Database.approveSubmission(match.submission.id, memberId);
+                approved++;
+            } catch (error) {
+                console.error('Matched approval error:', error);
+                failures.push(`${match.submission.reference}: ${error.message}`);
+            }
+        }
+
+        Utils.setButtonLoading(approveBtn, false);
+
+        await Auth.logAdminAction('statement_matches_approved', {
+            approved,
+            failed: failures.length
+        });
+
+        if (failures.length > 0) {
+            App.showToast(`Approved ${approved}, ${failures.length} failed: ${failures.join('; ')}`, 'warning', 8000);
+        } else {
+            App.showToast(`Approved ${approved} payment(s)`, 'success');
+        }
+
+        // Matches are stale once approved; clear them
+        importMatches = [];
+        document.getElementById('importResults').style.display = 'none';
+        loadDashboardData();
+    }
+
     /**
      * Load members
      */
@@ -642,7 +1206,7 @@ const Admin = (() => {
         const card = document.createElement('div');
         card.className = 'member-card';
 
-        const statusClass = member.status === 'suspended' ? 'error' : 'success';
+        const statusClass = { suspended: 'error', exited: 'info' }[member.status] || 'success';
 
         card.innerHTML = `
             <div class="member-card-header">
@@ -671,108 +1235,1068 @@ const Admin = (() => {
             </div>
         `;
 
+        card.addEventListener('click', () => openMemberDetail(member));
+
         return card;
     }
 
     /**
-     * Update members summary
+     * Open member detail modal with status history
      */
-    function updateMembersSummary(membersList) {
-        const totalMembers = membersList.length;
-        const totalSaved = membersList.reduce((sum, m) => sum + (m.totalSavings || 0), 0);
-        const totalFines = membersList.reduce((sum, m) => sum + (m.totalFines || 0), 0);
+    async function openMemberDetail(member) {
+        selectedMember = member;
+        const suspended = member.status === 'suspended';
+
+        document.getElementById('memberDetailName').textContent = member.name;
+        document.getElementById('memberDetailPhone').textContent = Utils.formatPhone(member.phone);
+        document.getElementById('memberDetailStatus').textContent = member.status || 'active';
+        document.getElementById('memberDetailSkipped').textContent = member.skippedMonths || 0;
+        document.getElementById('memberDetailOutstanding').textContent = Utils.formatCurrency(member.outstandingFines || 0);
+
+        const reasonRow = document.getElementById('memberDetailReasonRow');
+        reasonRow.style.display = member.statusReason ? 'flex' : 'none';
+        document.getElementById('memberDetailReason').textContent = member.statusReason || '';
+
+        const plan = member.paymentPlan;
+        document.getElementById('memberPlanSection').style.display = plan ? 'block' : 'none';
+        if (plan) {
+            document.getElementById('memberPlanArrears').textContent = Utils.formatCurrency(plan.arrearsAmount);
+            document.getElementById('memberPlanInstalments').textContent =
+                `${plan.instalments} × ${Utils.formatCurrency(plan.instalmentAmount)}`;
+            document.getElementById('memberPlanFirst').textContent = plan.firstInstalmentMonth;
+        }
 
-        document.getElementById('summaryTotalMembers').textContent = totalMembers;
-        document.getElementById('summaryTotalSaved').textContent = Utils.formatCurrency(totalSaved);
-        document.getElementById('summaryTotalFines').textContent = Utils.formatCurrency(totalFines);
+        document.getElementById('openReinstateBtn').style.display = suspended ? 'inline-flex' : 'none';
+        document.getElementById('openExitBtn').style.display = member.status === 'exited' ? 'none' : 'inline-flex';
+        document.getElementById('settlementLetterBtn').style.display = member.status === 'exited' ? 'inline-flex' : 'none';
+
+        const historyEl = document.getElementById('memberStatusHistory');
+        historyEl.innerHTML = '<li><span>Loading...</span></li>';
+
+        App.openModal('memberModal');
+
+        try {
+            const history = await Database.getMemberStatusHistory(member.id);
+
+            historyEl.innerHTML = history.length === 0
+                ? '<li><span>No status changes recorded</span></li>'
+                : history.map(entry => `
+                    <li>
+                        <span>${Utils.formatDate(entry.changedAt)} · ${Utils.escapeHtml(entry.from)} → ${Utils.escapeHtml(entry.to)}</span>
+                        <span>${Utils.escapeHtml(entry.reason || '')}</span>
+                    </li>
+                `).join('');
+        } catch (error) {
+            historyEl.innerHTML = '<li><span>Failed to load status history</span></li>';
+        }
     }
 
     /**
-     * Filter members by search query
+     * Work out the selected member's exit settlement and open the exit modal
      */
-    function filterMembers() {
-        const query = document.getElementById('memberSearch').value.toLowerCase().trim();
+    async function openExit() {
+        if (!selectedMember) return;
 
-        if (!query) {
-            renderMembers(members);
+        try {
+            exitSettlement = await Database.prepareExitSettlement(selectedMember.id);
+        } catch (error) {
+            console.error('Prepare exit error:', error);
+            App.showToast(error.message || 'Failed to work out the settlement', 'error');
             return;
         }
 
-        const filtered = members.filter(m =>
-            m.name.toLowerCase().includes(query) ||
-            m.phone.includes(query)
-        );
+        document.getElementById('exitMemberName').textContent = exitSettlement.name;
+        document.getElementById('exitSavings').textContent = Utils.formatCurrency(exitSettlement.savingsAmount);
+        document.getElementById('exitPenaltyLabel').textContent = `Exit Penalty (${exitSettlement.penaltyPercent}%)`;
+        document.getElementById('exitPenalty').textContent = `- ${Utils.formatCurrency(exitSettlement.penaltyAmount)}`;
+        document.getElementById('exitFines').textContent = `- ${Utils.formatCurrency(exitSettlement.finesDeducted)}`;
+        document.getElementById('exitNet').textContent = Utils.formatCurrency(exitSettlement.netAmount);
+        document.getElementById('exitReason').value = '';
 
-        renderMembers(filtered);
+        App.closeModal('memberModal');
+        App.openModal('exitModal');
     }
 
     /**
-     * Handle add member
+     * Handle paying the exit settlement
      */
-    async function handleAddMember() {
-        const form = document.getElementById('addMemberForm');
-        const formData = new FormData(form);
-        const saveBtn = document.getElementById('saveMemberBtn');
-
-        // Validate
-        const name = formData.get('name')?.trim();
-        const phone = formData.get('phone')?.trim();
+    async function handleExit() {
+        if (!selectedMember || !exitSettlement) return;
 
-        if (!name) {
-            showFieldError(document.getElementById('newMemberName'), 'Name is required');
-            return;
-        }
+        const reason = document.getElementById('exitReason').value.trim();
 
-        if (!phone || !Utils.isValidPhone(phone)) {
-            showFieldError(document.getElementById('newMemberPhone'), 'Valid phone number is required');
+        if (!reason) {
+            App.showToast('Please record why the member is leaving', 'warning');
             return;
         }
 
-        Utils.setButtonLoading(saveBtn, true);
+        const exitBtn = document.getElementById('confirmExitBtn');
+        Utils.setButtonLoading(exitBtn, true);
 
         try {
-            // Check if member already exists
-            const existing = await Auth.lookupMember(name, phone);
-            if (existing) {
-                App.showToast('Member already exists', 'warning');
-                Utils.setButtonLoading(saveBtn, false);
-                return;
-            }
-
-            // Add member
-            await Database.addMember({
-                name: name,
-                phone: phone,
-                email: formData.get('email')?.trim() || '',
-                notes: formData.get('notes')?.trim() || ''
-            });
-
-            // Log admin action
-            await Auth.logAdminAction('add_member', {
-                name: name,
-                phone: phone
-            });
-
-            App.showToast('Member added successfully!', 'success');
-            App.closeModal('addMemberModal');
-            form.reset();
+            await Database.exitMember(selectedMember.id, reason, exitSettlement.netAmount);
+            App.closeModal('exitModal');
+            App.showToast(`${exitSettlement.name} has left the stokvel. Settlement: ${Utils.formatCurrency(exitSettlement.netAmount)}`, 'success');
+            exitSettlement = null;
 
-            // Refresh members list
-            loadMembers();
-            loadDashboardData();
+            await loadMembers();
+            const updated = members.find(m => m.id === selectedMember.id);
+            if (updated) openMemberDetail(updated);
 
         } catch (error) {
-            console.error('Add member error:', error);
-            App.showToast('Failed to add member. Please try again.', 'error');
+            console.error('Exit member error:', error);
+            App.showToast(error.message || 'Failed to settle the exit', 'error');
         } finally {
-            Utils.setButtonLoading(saveBtn, false);
+            Utils.setButtonLoading(exitBtn, false);
         }
     }
 
     /**
-     * Load reports data
+     * Open the selected member's settlement letter for printing
      */
-    async function loadReportsData() {
+    async function handleSettlementLetter() {
+        if (!selectedMember) return;
+
+        // Open the window straight away so the click still counts as a user action
+        const letterWindow = window.open('', '_blank');
+        if (!letterWindow) {
+            App.showToast('Please allow pop-ups to print the letter', 'warning');
+            return;
+        }
+
+        try {
+            const settlement = await Database.getExitSettlement(selectedMember.id);
+            if (!settlement) {
+                letterWindow.close();
+                App.showToast('No settlement found for this member', 'warning');
+                return;
+            }
+
+            letterWindow.document.write(buildSettlementLetter(settlement));
+            letterWindow.document.close();
+            letterWindow.focus();
+            letterWindow.print();
+
+        } catch (error) {
+            letterWindow.close();
+            console.error('Settlement letter error:', error);
+            App.showToast('Failed to load the settlement', 'error');
+        }
+    }
+
+    /**
+     * Build the printable settlement letter
+     */
+    function buildSettlementLetter(settlement) {
+        const paidAt = Utils.formatDate(settlement.paidAt?.toDate?.() || new Date(), 'long');
+        const row = (label, value) => `<tr><td>${label}</td><td class="amount">${value}</td></tr>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Settlement Letter - ${Utils.escapeHtml(settlement.name)}</title>
+    <style>
+        body { font-family: Georgia, serif; max-width: 640px; margin: 40px auto; color: #212121; line-height: 1.5; }
+        h1 { font-size: 1.4rem; margin-bottom: 0; }
+        .tagline { color: #616161; margin-top: 4px; }
+        table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+        td { padding: 8px 0; border-bottom: 1px solid #e0e0e0; }
+        .amount { text-align: right; }
+        .total td { font-weight: bold; border-bottom: 2px solid #212121; }
+        .signatures { display: flex; justify-content: space-between; margin-top: 64px; }
+        .signatures div { width: 45%; border-top: 1px solid #212121; padding-top: 8px; }
+    </style>
+</head>
+<body>
+    <h1>${Utils.escapeHtml(APP_SETTINGS.stokvelName)} Stokvel</h1>
+    <p class="tagline">Exit Settlement Letter</p>
+
+    <p>${paidAt}</p>
+    <p>To: ${Utils.escapeHtml(settlement.name)} (${Utils.formatPhone(settlement.phone)})</p>
+
+    <p>This letter confirms that you have left the stokvel and sets out your final settlement.
+    Reason recorded: ${Utils.escapeHtml(settlement.reason || '-')}.</p>
+
+    <table>
+        ${row('Savings', Utils.formatCurrency(settlement.savingsAmount))}
+        ${row(`Exit penalty (${settlement.penaltyPercent}%)`, `- ${Utils.formatCurrency(settlement.penaltyAmount)}`)}
+        ${row('Outstanding fines', `- ${Utils.formatCurrency(settlement.finesDeducted)}`)}
+        <tr class="total"><td>Amount paid to you</td><td class="amount">${Utils.formatCurrency(settlement.netAmount)}</td></tr>
+    </table>
+
+    <p>You are not entitled to a share of the ${settlement.year} interest pool. Reference: ${Utils.escapeHtml(settlement.id)}.</p>
+
+    <div class="signatures">
+        <div>Treasurer</div>
+        <div>Member</div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Open reinstate modal for the selected member
+     */
+    function openReinstate() {
+        if (!selectedMember) return;
+
+        const contribution = Utils.getRulesForMonth().minimumDeposit;
+        const arrears = (selectedMember.skippedMonths || 0) * contribution + (selectedMember.outstandingFines || 0);
+
+        document.getElementById('arrearsAmount').value = arrears;
+        document.getElementById('arrearsInstalments').value = 1;
+        document.getElementById('arrearsNotes').value = '';
+
+        // Plans start this month or later
+        const select = document.getElementById('arrearsFirstMonth');
+        const now = new Date();
+        select.innerHTML = '';
+
+        for (let i = 0; i < 6; i++) {
+            const date = new Date(now.getFullYear(), now.getMonth() + i, 1);
+            const option = document.createElement('option');
+            option.value = `${Utils.getMonthName(date.getMonth() + 1)} ${date.getFullYear()}`;
+            option.textContent = option.value;
+            select.appendChild(option);
+        }
+
+        App.closeModal('memberModal');
+        App.openModal('reinstateModal');
+    }
+
+    /**
+     * Handle member reinstatement
+     */
+    async function handleReinstate() {
+        if (!selectedMember) return;
+
+        const arrearsAmount = parseFloat(document.getElementById('arrearsAmount').value);
+        const instalments = parseInt(document.getElementById('arrearsInstalments').value);
+
+        if (isNaN(arrearsAmount) || arrearsAmount < 0) {
+            App.showToast('Please enter the arrears amount', 'warning');
+            return;
+        }
+
+        if (!(instalments >= 1)) {
+            App.showToast('Please enter the number of instalments', 'warning');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('confirmReinstateBtn');
+        Utils.setButtonLoading(confirmBtn, true);
+
+        try {
+            await Database.reinstateMember(selectedMember.id, {
+                arrearsAmount,
+                instalments,
+                firstInstalmentMonth: document.getElementById('arrearsFirstMonth').value,
+                notes: document.getElementById('arrearsNotes').value.trim()
+            });
+
+            App.closeModal('reinstateModal');
+            App.showToast(`${selectedMember.name} has been reinstated`, 'success');
+            selectedMember = null;
+            loadMembers();
+        } catch (error) {
+            console.error('Reinstate error:', error);
+            App.showToast(error.message || 'Failed to reinstate member', 'error');
+        } finally {
+            Utils.setButtonLoading(confirmBtn, false);
+        }
+    }
+
+    /**
+     * Update members summary
+     */
+    function updateMembersSummary(membersList) {
+        const totalMembers = membersList.length;
+        const totalSaved = membersList.reduce((sum, m) => sum + (m.totalSavings || 0), 0);
+        const totalFines = membersList.reduce((sum, m) => sum + (m.totalFines || 0), 0);
+
+        document.getElementById('summaryTotalMembers').textContent = totalMembers;
+        document.getElementById('summaryTotalSaved').textContent = Utils.formatCurrency(totalSaved);
+        document.getElementById('summaryTotalFines').textContent = Utils.formatCurrency(totalFines);
+    }
+
+    /**
+     * Load fine appeals
+     */
+    async function loadAppeals() {
+        const listEl = document.getElementById('appealsList');
+        const status = document.getElementById('appealStatusFilter').value;
+
+        listEl.innerHTML = `
+            <div class="skeleton skeleton-card"></div>
+        `;
+
+        try {
+            const appeals = await Database.getAppeals(status ? { status } : {});
+
+            if (status === 'pending') {
+                document.getElementById('appealsBadge').textContent = appeals.length;
+            }
+
+            listEl.innerHTML = '';
+
+            if (appeals.length === 0) {
+                listEl.innerHTML = `
+                    <div class="empty-state">
+                        <p>${status === 'pending' ? 'No appeals waiting for a decision' : 'No appeals yet'}</p>
+                    </div>
+                `;
+                return;
+            }
+
+            appeals.forEach(appeal => {
+                listEl.appendChild(createAppealCard(appeal));
+            });
+
+        } catch (error) {
+            console.error('Error loading appeals:', error);
+            listEl.innerHTML = `
+                <div class="error-state">
+                    <p>Failed to load appeals</p>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Create appeal card
+     */
+    function createAppealCard(appeal) {
+        const card = document.createElement('div');
+        card.className = 'member-card';
+
+        const statusClass = {
+            pending: 'warning',
+            waived: 'success',
+            declined: 'error'
+        }[appeal.status] || 'info';
+
+        card.innerHTML = `
+            <div class="member-card-header">
+                <div class="pending-member">
+                    <span class="member-avatar">${Utils.getInitials(appeal.name)}</span>
+                    <div class="member-info">
+                        <span class="member-name">${Utils.escapeHtml(appeal.name)}</span>
+                        <span class="member-phone">${Utils.escapeHtml(appeal.paymentMonth)} · ${appeal.reference}</span>
+                    </div>
+                </div>
+                <span class="badge badge-${statusClass}">${appeal.status}</span>
+            </div>
+            <div class="member-card-stats">
+                <div class="member-stat">
+                    <span class="stat-label">Fine</span>
+                    <span class="stat-value">${Utils.formatCurrency(appeal.fineAmount)}</span>
+                </div>
+                <div class="member-stat">
+                    <span class="stat-label">Waived</span>
+                    <span class="stat-value">${appeal.status === 'pending' ? '-' : Utils.formatCurrency(appeal.waivedAmount || 0)}</span>
+                </div>
+                <div class="member-stat">
+                    <span class="stat-label">Lodged</span>
+                    <span class="stat-value">${Utils.formatDate(appeal.createdAt?.toDate?.() || new Date(), 'short')}</span>
+                </div>
+            </div>
+        `;
+
+        if (appeal.status === 'pending') {
+            card.addEventListener('click', () => openAppeal(appeal));
+        }
+
+        return card;
+    }
+
+    /**
+     * Open the decision modal for an appeal
+     */
+    function openAppeal(appeal) {
+        currentAppeal = appeal;
+
+        document.getElementById('appealMember').textContent = `${appeal.name} (${Utils.formatPhone(appeal.phone)})`;
+        document.getElementById('appealPayment').textContent = `${appeal.paymentMonth} · ${appeal.reference}`;
+        document.getElementById('appealFine').textContent = Utils.formatCurrency(appeal.fineAmount);
+        document.getElementById('appealReason').textContent = appeal.reason;
+        document.getElementById('appealWaiveAmount').value = appeal.fineAmount;
+        document.getElementById('appealWaiveAmount').max = appeal.fineAmount;
+        document.getElementById('appealDecisionReason').value = '';
+
+        App.openModal('appealModal');
+    }
+
+    /**
+     * Handle waiving (fully or partly) or declining an appeal
+     */
+    async function handleDecideAppeal(waive) {
+        if (!currentAppeal) return;
+
+        const amount = waive ? parseFloat(document.getElementById('appealWaiveAmount').value) : 0;
+        const reason = document.getElementById('appealDecisionReason').value.trim();
+
+        if (waive && !(amount > 0)) {
+            App.showToast('Please enter the amount to waive', 'warning');
+            return;
+        }
+
+        if (!reason) {
+            App.showToast('Please give a reason for the decision', 'warning');
+            return;
+        }
+
+        const button = document.getElementById(waive ? 'waiveFineBtn' : 'declineAppealBtn');
+        Utils.setButtonLoading(button, true);
+
+        try {
+            await Database.decideAppeal(currentAppeal.id, amount, reason);
+            App.closeModal('appealModal');
+            App.showToast(waive
+                ? `${Utils.formatCurrency(amount)} fine waived for ${currentAppeal.name}`
+                : `Appeal from ${currentAppeal.name} declined`, 'success');
+            currentAppeal = null;
+            loadAppeals();
+            loadDashboardData();
+
+        } catch (error) {
+            console.error('Decide appeal error:', error);
+            App.showToast(error.message || 'Failed to save decision', 'error');
+        } finally {
+            Utils.setButtonLoading(button, false);
+        }
+    }
+
+    /**
+     * Load loans and pool availability
+     */
+    async function loadLoans() {
+        const listEl = document.getElementById('loansList');
+
+        listEl.innerHTML = `
+            <div class="skeleton skeleton-card"></div>
+        `;
+
+        try {
+            const [loanList, availability] = await Promise.all([
+                Database.getLoans(),
+                Database.getLoanPoolAvailability()
+            ]);
+
+            loans = loanList;
+
+            document.getElementById('loanLimit').textContent = Utils.formatCurrency(availability.limit);
+            document.getElementById('loanOutstanding').textContent = Utils.formatCurrency(availability.outstanding);
+            document.getElementById('loanAvailable').textContent = Utils.formatCurrency(availability.available);
+
+            listEl.innerHTML = '';
+
+            if (loans.length === 0) {
+                listEl.innerHTML = `
+                    <div class="empty-state">
+                        <p>No loans yet</p>
+                    </div>
+                `;
+                return;
+            }
+
+            loans.forEach(loan => {
+                listEl.appendChild(createLoanCard(loan));
+            });
+
+        } catch (error) {
+            console.error('Error loading loans:', error);
+            listEl.innerHTML = `
+                <div class="error-state">
+                    <p>Failed to load loans</p>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Create loan card
+     */
+    function createLoanCard(loan) {
+        const card = document.createElement('div');
+        card.className = 'member-card';
+
+        const statusClass = {
+            applied: 'warning',
+            active: 'info',
+            repaid: 'success',
+            declined: 'error'
+        }[loan.status] || 'info';
+
+        card.innerHTML = `
+            <div class="member-card-header">
+                <div class="pending-member">
+                    <span class="member-avatar">${Utils.getInitials(loan.name)}</span>
+                    <div class="member-info">
+                        <span class="member-name">${Utils.escapeHtml(loan.name)}</span>
+                        <span class="member-phone">${Utils.formatPhone(loan.phone)}</span>
+                    </div>
+                </div>
+                <span class="badge badge-${statusClass}">${loan.status}</span>
+            </div>
+            <div class="member-card-stats">
+                <div class="member-stat">
+                    <span class="stat-label">Principal</span>
+                    <span class="stat-value">${Utils.formatCurrency(loan.principal)}</span>
+                </div>
+                <div class="member-stat">
+                    <span class="stat-label">Term</span>
+                    <span class="stat-value">${loan.termMonths} mo</span>
+                </div>
+                <div class="member-stat">
+                    <span class="stat-label">Balance</span>
+                    <span class="stat-value">${Utils.formatCurrency(loan.balance)}</span>
+                </div>
+            </div>
+        `;
+
+        card.addEventListener('click', () => openLoanDetail(loan));
+
+        return card;
+    }
+
+    /**
+     * Open loan application modal
+     */
+    async function openLoanApplication() {
+        const memberSelect = document.getElementById('loanMember');
+        const monthSelect = document.getElementById('loanFirstMonth');
+
+        if (members.length === 0) {
+            members = await Database.getMembers();
+        }
+
+        memberSelect.innerHTML = members
+            .filter(m => m.status === 'active')
+            .map(m => `<option value="${m.id}">${Utils.escapeHtml(m.name)} (${Utils.formatPhone(m.phone)})</option>`)
+            .join('');
+
+        // Repayments start next month at the earliest
+        const now = new Date();
+        monthSelect.innerHTML = '';
+        for (let i = 1; i <= 3; i++) {
+            const date = new Date(now.getFullYear(), now.getMonth() + i, 1);
+            const option = document.createElement('option');
+            option.value = `${Utils.getMonthName(date.getMonth() + 1)} ${date.getFullYear()}`;
+            option.textContent = option.value;
+            monthSelect.appendChild(option);
+        }
+
+        document.getElementById('loanForm').reset();
+        document.getElementById('loanTerm').max = APP_SETTINGS.loanMaxTermMonths || 6;
+        updateLoanTermsHint();
+
+        App.openModal('loanModal');
+    }
+
+    /**
+     * Show the repayment that the entered amount and term work out to
+     */
+    function updateLoanTermsHint() {
+        const hint = document.getElementById('loanTermsHint');
+        const principal = parseFloat(document.getElementById('loanPrincipal').value);
+        const term = parseInt(document.getElementById('loanTerm').value);
+        const rate = APP_SETTINGS.loanInterestRate ?? 5;
+
+        if (!(principal > 0) || !(term >= 1)) {
+            hint.textContent = `Interest is ${rate}% of the amount per month.`;
+            return;
+        }
+
+        const plan = Database.buildLoanSchedule(principal, rate, term, document.getElementById('loanFirstMonth').value);
+        hint.textContent = `Interest is ${rate}% per month: ${Utils.formatCurrency(plan.totalInterest)} in total. ` +
+            `${term} instalment(s) of about ${Utils.formatCurrency(plan.schedule[0].amount)}, ${Utils.formatCurrency(plan.totalRepayable)} altogether.`;
+    }
+
+    /**
+     * Handle loan application save
+     */
+    async function handleSaveLoan() {
+        const saveBtn = document.getElementById('saveLoanBtn');
+        Utils.setButtonLoading(saveBtn, true);
+
+        try {
+            await Database.createLoanApplication({
+                memberId: document.getElementById('loanMember').value,
+                principal: parseFloat(document.getElementById('loanPrincipal').value),
+                termMonths: parseInt(document.getElementById('loanTerm').value),
+                firstRepaymentMonth: document.getElementById('loanFirstMonth').value,
+                purpose: document.getElementById('loanPurpose').value.trim()
+            });
+
+            App.closeModal('loanModal');
+            App.showToast('Loan application captured', 'success');
+            loadLoans();
+
+        } catch (error) {
+            console.error('Save loan error:', error);
+            App.showToast(error.message || 'Failed to save loan application', 'error');
+        } finally {
+            Utils.setButtonLoading(saveBtn, false);
+        }
+    }
+
+    /**
+     * Open loan detail modal
+     */
+    function openLoanDetail(loan) {
+        currentLoan = loan;
+        const applied = loan.status === 'applied';
+
+        document.getElementById('loanDetailMember').textContent = `${loan.name} (${Utils.formatPhone(loan.phone)})`;
+        document.getElementById('loanDetailStatus').textContent = loan.status;
+        document.getElementById('loanDetailPrincipal').textContent = Utils.formatCurrency(loan.principal);
+        document.getElementById('loanDetailInterest').textContent =
+            `${Utils.formatCurrency(loan.totalInterest)} (${loan.interestRate}% per month)`;
+        document.getElementById('loanDetailBalance').textContent = Utils.formatCurrency(loan.balance);
+
+        document.getElementById('loanScheduleBody').innerHTML = loan.schedule.map(instalment => `
+            <tr>
+                <td>${Utils.escapeHtml(instalment.month)}</td>
+                <td>${Utils.formatCurrency(instalment.principal)}</td>
+                <td>${Utils.formatCurrency(instalment.interest)}</td>
+                <td>${Utils.formatCurrency(instalment.amount)}</td>
+                <td>${Utils.formatCurrency(instalment.paid)}</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('approveLoanBtn').style.display = applied ? 'inline-flex' : 'none';
+        document.getElementById('declineLoanBtn').style.display = applied ? 'inline-flex' : 'none';
+
+        App.openModal('loanDetailModal');
+    }
+
+    /**
+     * Handle loan approval
+     */
+    async function handleApproveLoan() {
+        if (!currentLoan) return;
+
+        const approveBtn = document.getElementById('approveLoanBtn');
+        Utils.setButtonLoading(approveBtn, true);
+
+        try {
+            await Database.approveLoan(currentLoan.id);
+            App.closeModal('loanDetailModal');
+            App.showToast(`Loan of ${Utils.formatCurrency(currentLoan.principal)} approved for ${currentLoan.name}`, 'success');
+            currentLoan = null;
+            loadLoans();
+
+        } catch (error) {
+            console.error('Approve loan error:', error);
+            App.showToast(error.message || 'Failed to approve loan', 'error');
+        } finally {
+            Utils.setButtonLoading(approveBtn, false);
+        }
+    }
+
+    /**
+     * Handle loan decline
+     */
+    async function handleDeclineLoan() {
+        if (!currentLoan) return;
+
+        const confirmed = await App.showConfirmModal({
+            title: 'Decline Loan',
+            message: `Decline ${currentLoan.name}'s application for ${Utils.formatCurrency(currentLoan.principal)}?`,
+            confirmText: 'Decline',
+            type: 'danger'
+        });
+
+        if (!confirmed) return;
+
+        const declineBtn = document.getElementById('declineLoanBtn');
+        Utils.setButtonLoading(declineBtn, true);
+
+        try {
+            await Database.declineLoan(currentLoan.id);
+            App.closeModal('loanDetailModal');
+            App.showToast('Loan application declined', 'info');
+            currentLoan = null;
+            loadLoans();
+
+        } catch (error) {
+            console.error('Decline loan error:', error);
+            App.showToast(error.message || 'Failed to decline loan', 'error');
+        } finally {
+            Utils.setButtonLoading(declineBtn, false);
+        }
+    }
+
+    /**
+     * Load stokvel mode, rotation order and the current cycle
+     */
+    async function loadRotation() {
+        try {
+            const [settings, memberList] = await Promise.all([
+                Database.getStokvelSettings(),
+                Database.getMembers()
+            ]);
+
+            members = memberList;
+
+            // Saved order first, then any active members not yet in it
+            const active = members.filter(m => m.status === 'active').map(m => m.id);
+            rotationOrder = [
+                ...settings.rotationOrder.filter(id => members.some(m => m.id === id && m.status !== 'exited')),
+                ...active.filter(id => !settings.rotationOrder.includes(id))
+            ];
+
+            document.getElementById('stokvelMode').value = settings.mode;
+            populateRotationStart(settings.rotationStartMonth);
+            renderRotationOrder();
+
+            const schedule = settings.mode === 'rotating' ? await Database.getRotationStatus() : null;
+            renderRotationSchedule(schedule);
+
+        } catch (error) {
+            console.error('Error loading rotation:', error);
+            App.showToast('Failed to load rotation', 'error');
+        }
+    }
+
+    /**
+     * Populate rotation start month dropdown
+     */
+    function populateRotationStart(selected) {
+        const select = document.getElementById('rotationStart');
+        const now = new Date();
+        const values = [];
+
+        for (let i = -12; i <= 3; i++) {
+            const date = new Date(now.getFullYear(), now.getMonth() + i, 1);
+            values.push(`${Utils.getMonthName(date.getMonth() + 1)} ${date.getFullYear()}`);
+        }
+
+        if (selected && !values.includes(selected)) {
+            values.unshift(selected);
+        }
+
+        select.innerHTML = values.map(value => `<option value="${value}">${value}</option>`).join('');
+        select.value = selected || Utils.getCurrentPaymentMonth();
+    }
+
+    /**
+     * Render the rotation order list
+     */
+    function renderRotationOrder() {
+        const listEl = document.getElementById('rotationOrder');
+        const names = Object.fromEntries(members.map(m => [m.id, m.name]));
+
+        listEl.innerHTML = rotationOrder.map((memberId, index) => `
+            <li>
+                <span>${Utils.escapeHtml(names[memberId] || 'Unknown member')}</span>
+                <span class="rotation-move">
+                    <button type="button" class="btn btn-ghost btn-sm" data-move="-1" data-index="${index}" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                    <button type="button" class="btn btn-ghost btn-sm" data-move="1" data-index="${index}" ${index === rotationOrder.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Move a member up or down the rotation order
+     */
+    function handleRotationMove(e) {
+        const button = e.target.closest('[data-move]');
+        if (!button) return;
+
+        const index = parseInt(button.dataset.index);
+        const target = index + parseInt(button.dataset.move);
+
+        if (target < 0 || target >= rotationOrder.length) return;
+
+        [rotationOrder[index], rotationOrder[target]] = [rotationOrder[target], rotationOrder[index]];
+        renderRotationOrder();
+    }
+
+    /**
+     * Render the current rotation cycle
+     */
+    function renderRotationSchedule(schedule) {
+        const card = document.getElementById('rotationScheduleCard');
+
+        if (!schedule) {
+            card.style.display = 'none';
+            return;
+        }
+
+        const currentMonth = Utils.getCurrentPaymentMonth();
+
+        document.getElementById('rotationCycleTitle').textContent = `Cycle ${schedule.cycle}`;
+        document.getElementById('rotationScheduleBody').innerHTML = schedule.months.map(month => {
+            const parsed = Utils.parsePaymentMonth(month.paymentMonth);
+            const started = new Date(parsed.year, parsed.month - 1, 1) <= new Date();
+
+            let payoutCell = '-';
+            if (month.payout) {
+                payoutCell = `<span class="badge badge-success">Paid ${Utils.formatCurrency(month.payout.netAmount)}</span>`;
+            } else if (started) {
+                payoutCell = `<button type="button" class="btn btn-secondary btn-sm" data-month="${month.paymentMonth}">Record Payout</button>`;
+            }
+
+            return `
+                <tr${month.paymentMonth === currentMonth ? ' class="current-row"' : ''}>
+                    <td>${month.position}</td>
+                    <td>${Utils.escapeHtml(month.paymentMonth)}</td>
+                    <td>${Utils.escapeHtml(month.name)}</td>
+                    <td>${Utils.formatCurrency(month.expected)}</td>
+                    <td>${Utils.formatCurrency(month.collected)}</td>
+                    <td>${payoutCell}</td>
+                </tr>
+            `;
+        }).join('');
+
+        card.style.display = 'block';
+    }
+
+    /**
+     * Handle saving the stokvel mode and rotation order
+     */
+    async function handleSaveRotation() {
+        const saveBtn = document.getElementById('saveRotationBtn');
+        Utils.setButtonLoading(saveBtn, true);
+
+        try {
+            await Database.saveStokvelSettings({
+                mode: document.getElementById('stokvelMode').value,
+                rotationOrder,
+                rotationStartMonth: document.getElementById('rotationStart').value
+            });
+
+            App.showToast('Rotation saved', 'success');
+            loadRotation();
+
+        } catch (error) {
+            console.error('Save rotation error:', error);
+            App.showToast(error.message || 'Failed to save rotation', 'error');
+        } finally {
+            Utils.setButtonLoading(saveBtn, false);
+        }
+    }
+
+    /**
+     * Handle recording a rotation month's payout
+     */
+    async function handleRotationPayout(e) {
+        const button = e.target.closest('[data-month]');
+        if (!button) return;
+
+        const paymentMonth = button.dataset.month;
+
+        const confirmed = await App.showConfirmModal({
+            title: 'Record Rotation Payout',
+            message: `Pay ${paymentMonth}'s verified contributions to this month's recipient? This can only be done once per month.`,
+            confirmText: 'Record Payout',
+            type: 'danger'
+        });
+
+        if (!confirmed) return;
+
+        button.disabled = true;
+
+        try {
+            const payout = await Database.recordRotationPayout(paymentMonth);
+            App.showToast(`${Utils.formatCurrency(payout.netAmount)} paid to ${payout.name} for ${paymentMonth}`, 'success');
+            loadRotation();
+
+        } catch (error) {
+            console.error('Rotation payout error:', error);
+            App.showToast(error.message || 'Failed to record payout', 'error');
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Open reconcile modal and compute mismatches
+     */
+    async function openReconcile() {
+        const summaryEl = document.getElementById('reconcileSummary');
+        const tableEl = document.getElementById('reconcileTable');
+        const bodyEl = document.getElementById('reconcileTableBody');
+        const applyBtn = document.getElementById('applyReconcileBtn');
+
+        reconcileMismatches = [];
+        summaryEl.textContent = 'Recomputing totals from verified submissions...';
+        bodyEl.innerHTML = '';
+        tableEl.style.display = 'none';
+        applyBtn.disabled = true;
+
+        App.openModal('reconcileModal');
+
+        try {
+            const result = await Database.reconcileMembers();
+            reconcileMismatches = result.mismatches;
+
+            const unlinkedNote = result.unlinkedCount
+                ? ` ${result.unlinkedCount} verified submission(s) are not linked to a member and were skipped.`
+                : '';
+
+            if (reconcileMismatches.length === 0) {
+                summaryEl.textContent = `All ${result.checkedCount} members match their verified submissions.${unlinkedNote}`;
+                return;
+            }
+
+            summaryEl.textContent = `${reconcileMismatches.length} of ${result.checkedCount} members have totals that differ from their verified submissions.${unlinkedNote}`;
+            renderReconcileTable(reconcileMismatches);
+            tableEl.style.display = 'table';
+            applyBtn.disabled = false;
+
+        } catch (error) {
+            console.error('Reconcile error:', error);
+            summaryEl.textContent = 'Failed to reconcile members. Please try again.';
+        }
+    }
+
+    /**
+     * Render reconcile diff table rows
+     */
+    function renderReconcileTable(mismatches) {
+        const bodyEl = document.getElementById('reconcileTableBody');
+        const labels = {
+            totalSavings: 'Total Saved',
+            totalFines: 'Total Fines',
+            verifiedCount: 'Verified Payments'
+        };
+        const format = (field, value) => field === 'verifiedCount' ? value : Utils.formatCurrency(value);
+
+        bodyEl.innerHTML = mismatches.map(mismatch => mismatch.fields.map((field, index) => `
+            <tr>
+                <td>${index === 0 ? Utils.escapeHtml(mismatch.name) : ''}</td>
+                <td>${labels[field]}</td>
+                <td class="value-old">${format(field, mismatch.current[field])}</td>
+                <td class="value-new">${format(field, mismatch.expected[field])}</td>
+            </tr>
+        `).join('')).join('');
+    }
+
+    /**
+     * Apply reconcile corrections
+     */
+    async function handleApplyReconcile() {
+        if (reconcileMismatches.length === 0) return;
+
+        const confirmed = await App.showConfirmModal({
+            title: 'Apply Corrections',
+            message: `Update totals for ${reconcileMismatches.length} member(s) to match their verified submissions?`,
+            confirmText: 'Apply'
+        });
+
+        if (!confirmed) return;
+
+        const applyBtn = document.getElementById('applyReconcileBtn');
+        Utils.setButtonLoading(applyBtn, true);
+
+        try {
+            const count = await Database.applyReconciliation(reconcileMismatches);
+            reconcileMismatches = [];
+
+            App.showToast(`Corrected ${count} member(s)`, 'success');
+            App.closeModal('reconcileModal');
+
+            loadMembers();
+            loadDashboardData();
+
+        } catch (error) {
+            console.error('Apply reconcile error:', error);
+            App.showToast('Failed to apply corrections. Please try again.', 'error');
+        } finally {
+            Utils.setButtonLoading(applyBtn, false);
+            applyBtn.disabled = reconcileMismatches.length === 0;
+        }
+    }
+
+    /**
+     * Filter members by search query
+     */
+    function filterMembers() {
+        const query = document.getElementById('memberSearch').value.toLowerCase().trim();
+
+        if (!query) {
+            renderMembers(members);
+            return;
+        }
+
+        const filtered = members.filter(m =>
+            m.name.toLowerCase().includes(query) ||
+            m.phone.includes(query)
+        );
+
+        renderMembers(filtered);
+    }
+
+    /**
+     * Handle add member
+     */
+    async function handleAddMember() {
+        const form = document.getElementById('addMemberForm');
+        const formData = new FormData(form);
+        const saveBtn = document.getElementById('saveMemberBtn');
+
+        // Validate
+        const name = formData.get('name')?.trim();
+        const phone = formData.get('phone')?.trim();
+
+        if (!name) {
+            showFieldError(document.getElementById('newMemberName'), 'Name is required');
+            return;
+        }
+
+        if (!phone || !Utils.isValidPhone(phone)) {
+            showFieldError(document.getElementById('newMemberPhone'), 'Valid phone number is required');
+            return;
+        }
+
+        Utils.setButtonLoading(saveBtn, true);
+
+        try {
+            // Check if member already exists
+            const existing = await Auth.lookupMember(name, phone);
+            if (existing) {
+                App.showToast('Member already exists', 'warning');
+                Utils.setButtonLoading(saveBtn, false);
+                return;
+            }
+
+            // Add member
+            await Database.addMember({
+                name: name,
+                phone: phone,
+                email: formData.get('email')?.trim() || '',
+                notes: formData.get('notes')?.trim() || ''
+            });
+
+            // Log admin action
+            await Auth.logAdminAction('add_member', {
+                name: name,
+                phone: phone
+            });
+
+            App.showToast('Member added successfully!', 'success');
+            App.closeModal('addMemberModal');
+            form.reset();
+
+            // Refresh members list
+            loadMembers();
+            loadDashboardData();
+
+        } catch (error) {
+            console.error('Add member error:', error);
+            App.showToast('Failed to add member. Please try again.', 'error');
+        } finally {
+            Utils.setButtonLoading(saveBtn, false);
+        }
+    }
+
+    /**
+     * Load reports data
+     */
+    async function loadReportsData() {
         try {
             const stats = await Database.getDashboardStats();
 
@@ -781,11 +2305,380 @@ const Admin = (() => {
             document.getElementById('reportPendingCount').textContent = stats.pendingCount || 0;
             document.getElementById('reportVerifiedCount').textContent = stats.verifiedCount || 0;
 
+            await loadRules();
+            await loadMonthCloseHistory();
+            await loadBankInterestHistory();
+
         } catch (error) {
             console.error('Error loading reports data:', error);
         }
     }
 
+    /**
+     * Load the rule versions and the effective-from months that can be chosen
+     */
+    async function loadRules() {
+        const versions = await Database.loadRules();
+        const select = document.getElementById('rulesEffectiveFrom');
+        const now = new Date();
+        const options = [];
+
+        // New rules can only start from next month onwards
+        for (let i = 1; i <= 12; i++) {
+            const date = new Date(now.getFullYear(), now.getMonth() + i, 1);
+            options.push({
+                value: Utils.getMonthKey(date.getMonth() + 1, date.getFullYear()),
+                label: `${Utils.getMonthName(date.getMonth() + 1)} ${date.getFullYear()}`
+            });
+        }
+
+        select.innerHTML = options.map(opt => `<option value="${opt.value}">${opt.label}</option>`).join('');
+        fillRulesForm();
+
+        const describe = (rules) => `${Utils.formatCurrency(rules.minimumDeposit)} min · ` +
+            `${Utils.formatCurrency(rules.lateFineAmount)} late after day ${rules.graceperiodEndDay} · ` +
+            `${Utils.formatCurrency(rules.missedMonthFine)} missed · ` +
+            `interest from ${Utils.formatCurrency(rules.interestEligibilityMin)} · ` +
+            `suspend after ${rules.maxSkippedMonths} · ` +
+            `${rules.exitPenaltyPercent}% exit penalty`;
+
+        const monthLabel = (monthKey) => {
+            const [year, month] = monthKey.split('-').map(Number);
+            return `${Utils.getMonthName(month)} ${year}`;
+        };
+
+        document.getElementById('rulesHistory').innerHTML = [
+            `<li><span>Default</span><span>${describe(Utils.getRulesForMonth('0000-01'))}</span></li>`,
+            ...versions.map(version => `
+                <li>
+                    <span>From ${monthLabel(version.effectiveFrom)}</span>
+                    <span>${describe(Utils.getRulesForMonth(version.effectiveFrom))}</span>
+                </li>
+            `)
+        ].reverse().join('');
+    }
+
+    /**
+     * Pre-fill the rules form with the rules in force for the chosen month
+     */
+    function fillRulesForm() {
+        const rules = Utils.getRulesForMonth(document.getElementById('rulesEffectiveFrom').value);
+
+        document.querySelectorAll('#rulesForm [data-rule]').forEach(input => {
+            input.value = rules[input.dataset.rule];
+        });
+    }
+
+    /**
+     * Handle saving a new rules version
+     */
+    async function handleSaveRules(e) {
+        e.preventDefault();
+
+        const effectiveFrom = document.getElementById('rulesEffectiveFrom').value;
+        const values = {};
+        document.querySelectorAll('#rulesForm [data-rule]').forEach(input => {
+            values[input.dataset.rule] = input.value === '' ? NaN : Number(input.value);
+        });
+
+        const [year, month] = effectiveFrom.split('-').map(Number);
+        const confirmed = await App.showConfirmModal({
+            title: 'Save Financial Rules',
+            message: `These rules will apply to payments for ${Utils.getMonthName(month)} ${year} onwards. Earlier months keep their rules.`,
+            confirmText: 'Save Rules',
+            type: 'warning'
+        });
+
+        if (!confirmed) return;
+
+        const saveBtn = document.getElementById('saveRulesBtn');
+        Utils.setButtonLoading(saveBtn, true);
+
+        try {
+            await Database.saveRuleVersion(effectiveFrom, values);
+            App.showToast('Financial rules saved', 'success');
+            loadRules();
+
+        } catch (error) {
+            console.error('Save rules error:', error);
+            App.showToast(error.message || 'Failed to save rules', 'error');
+        } finally {
+            Utils.setButtonLoading(saveBtn, false);
+        }
+    }
+
+    /**
+     * Load recent month close runs
+     */
+    async function loadMonthCloseHistory() {
+        const historyEl = document.getElementById('monthCloseHistory');
+        const closes = await Database.getMonthCloses(6);
+
+        historyEl.innerHTML = closes.map(close => `
+            <li>
+                <span>${Utils.escapeHtml(close.paymentMonth)}</span>
+                <span>${close.status === 'completed'
+                    ? `${close.skippedCount} skipped · ${Utils.formatCurrency(close.fineTotal || 0)} fines`
+                    : 'Incomplete - run again to finish'}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Handle month close
+     */
+    async function handleCloseMonth() {
+        const value = document.getElementById('closeMonthSelect').value;
+        const parsed = Utils.parsePaymentMonth(value);
+
+        if (!parsed) {
+            App.showToast('Please select a month', 'warning');
+            return;
+        }
+
+        const confirmed = await App.showConfirmModal({
+            title: 'Close Month',
+            message: `Fine every active member with no verified payment for ${value}? This can only be done once per month.`,
+            confirmText: 'Close Month',
+            type: 'danger'
+        });
+
+        if (!confirmed) return;
+
+        const closeBtn = document.getElementById('closeMonthBtn');
+        Utils.setButtonLoading(closeBtn, true);
+
+        try {
+            const summary = await Database.closeMonth(parsed.month, parsed.year);
+            App.showToast(
+                `${summary.paymentMonth} closed: ${summary.skippedCount} member(s) fined ${Utils.formatCurrency(summary.fineTotal)}` +
+                    (summary.suspendedCount ? `, ${summary.suspendedCount} suspended` : ''),
+                'success',
+                5000
+            );
+            loadDashboardData();
+
+        } catch (error) {
+            console.error('Month close error:', error);
+            App.showToast(error.message || 'Failed to close month', 'error');
+        } finally {
+            Utils.setButtonLoading(closeBtn, false);
+        }
+    }
+
+    /**
+     * Load this year's bank interest credits
+     */
+    async function loadBankInterestHistory() {
+        const historyEl = document.getElementById('bankInterestHistory');
+        const credits = await Database.getBankInterestCredits(new Date().getFullYear());
+
+        historyEl.innerHTML = credits.map(credit => `
+            <li>
+                <span>${Utils.formatDate(credit.date)} · ${Utils.escapeHtml(credit.reference || 'No reference')}</span>
+                <span>${Utils.formatCurrency(credit.amount)}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Handle bank interest form submission
+     */
+    async function handleRecordInterest(e) {
+        e.preventDefault();
+
+        const date = document.getElementById('interestDate').value;
+        const amount = parseFloat(document.getElementById('interestAmount').value);
+        const reference = document.getElementById('interestReference').value.trim();
+
+        if (!date || !(amount > 0)) {
+            App.showToast('Please enter the credit date and amount', 'warning');
+            return;
+        }
+
+        const recordBtn = document.getElementById('recordInterestBtn');
+        Utils.setButtonLoading(recordBtn, true);
+
+        try {
+            await Database.recordBankInterest({ date, amount, reference });
+            App.showToast(`${Utils.formatCurrency(amount)} interest added to the pool`, 'success');
+            document.getElementById('bankInterestForm').reset();
+            loadDashboardData();
+
+        } catch (error) {
+            console.error('Record interest error:', error);
+            App.showToast(error.message || 'Failed to record interest', 'error');
+        } finally {
+            Utils.setButtonLoading(recordBtn, false);
+        }
+    }
+
+    /**
+     * Show when the selected year can be paid out
+     */
+    async function updatePayoutNotice() {
+        const year = parseInt(document.getElementById('payoutYear').value);
+        const notice = document.getElementById('payoutNotice');
+        const prepareBtn = document.getElementById('preparePayoutBtn');
+        const closeYearBtn = document.getElementById('closeYearBtn');
+        const earliest = Database.getPayoutEarliestDate(year);
+
+        payoutPlan = null;
+        document.getElementById('payoutReview').style.display = 'none';
+
+        try {
+            const financialYear = await Database.getFinancialYear(year);
+
+            if (financialYear?.status === 'closed') {
+                notice.textContent = `${year} is closed: ${financialYear.paidCount || 0} member(s) paid ${Utils.formatCurrency(financialYear.totalPaid || 0)}, ${Utils.formatCurrency(financialYear.carriedForward || 0)} carried forward.`;
+                prepareBtn.disabled = true;
+                closeYearBtn.disabled = true;
+            } else if (new Date() < earliest) {
+                notice.textContent = `Payouts for ${year} open on ${Utils.formatDate(earliest, 'long')}.`;
+                prepareBtn.disabled = true;
+                closeYearBtn.disabled = new Date().getFullYear() <= year;
+            } else {
+                notice.textContent = financialYear?.status === 'running'
+                    ? `A payout run for ${year} did not finish. Calculate again to pay the remaining members.`
+                    : 'Pays each member their savings for the year plus their interest share, less outstanding fines, and closes the year.';
+                prepareBtn.disabled = false;
+                closeYearBtn.disabled = false;
+            }
+        } catch (error) {
+            console.error('Error loading financial year:', error);
+        }
+    }
+
+    /**
+     * Calculate payouts for review
+     */
+    async function handlePreparePayout() {
+        const year = parseInt(document.getElementById('payoutYear').value);
+        const method = document.getElementById('payoutMethod').value;
+        const prepareBtn = document.getElementById('preparePayoutBtn');
+
+        Utils.setButtonLoading(prepareBtn, true);
+
+        try {
+            payoutPlan = await Database.prepareYearEndPayout(year, method);
+            renderPayoutReview(payoutPlan);
+        } catch (error) {
+            console.error('Prepare payout error:', error);
+            App.showToast(error.message || 'Failed to calculate payouts', 'error');
+        } finally {
+            Utils.setButtonLoading(prepareBtn, false);
+        }
+    }
+
+    /**
+     * Render the payout review table
+     */
+    function renderPayoutReview(plan) {
+        const bodyEl = document.getElementById('payoutTableBody');
+        const footEl = document.getElementById('payoutTableFoot');
+
+        if (plan.payouts.length === 0) {
+            bodyEl.innerHTML = '<tr><td colspan="5">No members to pay out</td></tr>';
+        } else {
+            bodyEl.innerHTML = plan.payouts.map(p => `
+                <tr>
+                    <td>${Utils.escapeHtml(p.name)}</td>
+                    <td>${Utils.formatCurrency(p.savingsAmount)}</td>
+                    <td>${Utils.formatCurrency(p.interestAmount)}</td>
+                    <td>${p.finesDeducted > 0 ? `-${Utils.formatCurrency(p.finesDeducted)}` : '-'}</td>
+                    <td><strong>${Utils.formatCurrency(p.netAmount)}</strong></td>
+                </tr>
+            `).join('');
+        }
+
+        footEl.innerHTML = `
+            <tr>
+                <th>Total (${plan.payouts.length})</th>
+                <th>${Utils.formatCurrency(plan.totals.savings)}</th>
+                <th>${Utils.formatCurrency(plan.totals.interest)}</th>
+                <th>${Utils.formatCurrency(plan.totals.fines)}</th>
+                <th>${Utils.formatCurrency(plan.totals.net)}</th>
+            </tr>
+        `;
+
+        if (plan.alreadyPaidCount > 0) {
+            App.showToast(`${plan.alreadyPaidCount} member(s) were already paid for ${plan.year}`, 'info');
+        }
+
+        document.getElementById('payoutReview').style.display = 'block';
+    }
+
+    /**
+     * Write the reviewed payouts and close the year
+     */
+    async function handleConfirmPayout() {
+        if (!payoutPlan) return;
+
+        const confirmed = await App.showConfirmModal({
+            title: 'Close Financial Year',
+            message: `Record ${payoutPlan.payouts.length} payout(s) totalling ${Utils.formatCurrency(payoutPlan.totals.net)} and close ${payoutPlan.year}? Payout records cannot be changed afterwards.`,
+            confirmText: 'Confirm Payouts',
+            type: 'danger'
+        });
+
+        if (!confirmed) return;
+
+        const confirmBtn = document.getElementById('confirmPayoutBtn');
+        Utils.setButtonLoading(confirmBtn, true);
+
+        try {
+            const summary = await Database.runYearEndPayout(payoutPlan.year, payoutPlan.method, payoutPlan.totals.net);
+            App.showToast(
+                `${summary.year} closed: ${Utils.formatCurrency(summary.totalPaid)} paid to ${summary.paidCount} member(s)`,
+                'success',
+                5000
+            );
+            payoutPlan = null;
+            loadDashboardData();
+
+        } catch (error) {
+            console.error('Payout error:', error);
+            App.showToast(error.message || 'Failed to write payouts', 'error');
+        } finally {
+            Utils.setButtonLoading(confirmBtn, false);
+        }
+    }
+
+    /**
+     * Close the selected year without a payout, carrying all savings forward
+     */
+    async function handleCloseYear() {
+        const year = parseInt(document.getElementById('payoutYear').value);
+
+        const confirmed = await App.showConfirmModal({
+            title: 'Close Year Without Payout',
+            message: `Close ${year} and carry every member's savings forward into ${year + 1}? No payouts can be made for ${year} afterwards.`,
+            confirmText: 'Close Year',
+            type: 'danger'
+        });
+
+        if (!confirmed) return;
+
+        const closeYearBtn = document.getElementById('closeYearBtn');
+        Utils.setButtonLoading(closeYearBtn, true);
+
+        try {
+            const summary = await Database.closeFinancialYear(year, { payout: false });
+            App.showToast(
+                `${summary.year} closed: ${Utils.formatCurrency(summary.carriedForward)} carried forward`,
+                'success',
+                5000
+            );
+            loadDashboardData();
+
+        } catch (error) {
+            console.error('Close year error:', error);
+            App.showToast(error.message || 'Failed to close year', 'error');
+        } finally {
+            Utils.setButtonLoading(closeYearBtn, false);
+        }
+    }
+
     /**
      * Generate and download report
      */
@@ -865,7 +2758,7 @@ const Admin = (() => {
         const headers = 'Name,Phone,Amount,Payment Date,Method,Fine,Status,Reference';
         const rows = data.submissions.map(s => {
             const paymentDate = Utils.formatDate(s.paymentDate?.toDate?.() || s.paymentDate, 'short');
-            return `"${s.name}",${s.phone},R ${s.amount},${paymentDate},${s.paymentMethod},R ${s.fineAmount || 0},${s.status},${s.reference}`;
+            return `"${s.name}",${s.phone},R ${s.amount},${paymentDate},${s.paymentMethod},R ${Utils.getNetFine(s)},${s.status},${s.reference}`;
         });
 
         return [
@@ -884,7 +2777,7 @@ const Admin = (() => {
     function generateComplianceReport(data, month) {
         const headers = 'Name,Phone,Status,Total Saved,Total Fines,Interest Eligible';
         const rows = data.members.map(m => {
-            const eligible = (m.totalSavings || 0) >= APP_SETTINGS.interestThreshold ? 'Yes' : 'No';
+            const eligible = Utils.qualifiesForInterest(m.totalSavings || 0) ? 'Yes' : 'No';
             return `"${m.name}",${m.phone},${m.status || 'Active'},R ${m.totalSavings || 0},R ${m.totalFines || 0},${eligible}`;
         });
 
@@ -947,6 +2840,43 @@ const Admin = (() => {
         });
     }
 
+    /**
+     * Populate month close dropdown with months that have ended
+     */
+    function populateCloseMonths() {
+        const select = document.getElementById('closeMonthSelect');
+        const options = Utils.generateMonthOptions(13).slice(1);
+
+        select.innerHTML = '';
+
+        options.forEach(opt => {
+            const option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Populate payout year dropdown (last three completed years)
+     */
+    function populatePayoutYears() {
+        const select = document.getElementById('payoutYear');
+        const currentYear = new Date().getFullYear();
+
+        select.innerHTML = '';
+
+        for (let year = currentYear - 1; year >= currentYear - 3; year--) {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = year;
+            select.appendChild(option);
+        }
+
+        document.getElementById('payoutMethod').value = APP_SETTINGS.interestDistributionMethod || 'equal';
+        updatePayoutNotice();
+    }
+
     /**
      * Get payment method display label
      */
@@ -0,0 +1,262 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - BANK STATEMENT IMPORT
+ * =====================================================
+ * Parses FNB CSV statement exports and matches the
+ * credit lines to pending POP submissions
+ */
+
+const BankImport = {
+    /**
+     * Days either side of the payment date a statement line may fall on
+     */
+    DATE_WINDOW_DAYS: 3,
+
+    /**
+     * Reference code pattern (banks sometimes drop the hyphen)
+     */
+    REFERENCE_PATTERN: /TRF-?([A-HJ-NP-Z2-9]{6})/i,
+
+    /**
+     * Short month names used in FNB date columns
+     */
+    MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+    /**
+     * Split CSV text into rows of cells (handles quoted cells and escaped quotes)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows of cells
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                if (row.some(c => c !== '')) rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell.trim());
+        if (row.some(c => c !== '')) rows.push(row);
+
+        return rows;
+    },
+
+    /**
+     * Parse an FNB statement export into credit lines
+     * FNB exports start with account details rows, followed by a
+     * header row naming the Date, Amount, Balance and Description columns
+     * @param {string} text - CSV file contents
+     * @returns {Array} Credit lines { date, amount, description, reference }
+     */
+    parseStatement(text) {
+        const rows = this.parseCSV(text);
+        const clean = (cell) => cell.replace(/^'+|'+$/g, '').trim().toLowerCase();
+
+        const headerIndex = rows.findIndex(row => {
+            const cells = row.map(clean);
+            return cells.includes('date') && cells.some(c => c.includes('amount'));
+        });
+
+        if (headerIndex === -1) {
+            throw new Error('Could not find the Date and Amount columns. Is this an FNB CSV export?');
+        }
+
+        const header = rows[headerIndex].map(clean);
+        const dateCol = header.indexOf('date');
+        const amountCol = header.findIndex(c => c.includes('amount'));
+        const textCols = header
+            .map((c, index) => (c.includes('description') || c.includes('reference') ? index : -1))
+            .filter(index => index !== -1);
+
+        const lines = [];
+
+        rows.slice(headerIndex + 1).forEach((row, index) => {
+            const date = this.parseDate(row[dateCol]);
+            const amount = this.parseAmount(row[amountCol]);
+
+            // Skip summary rows, debits and anything we cannot read
+            if (!date || !(amount > 0)) return;
+
+            const description = textCols.map(col => row[col] || '').filter(Boolean).join(' ');
+            const referenceMatch = description.match(this.REFERENCE_PATTERN);
+
+            lines.push({
+                lineNumber: headerIndex + index + 2,
+                date,
+                amount,
+                description,
+                reference: referenceMatch ? `TRF-${referenceMatch[1].toUpperCase()}` : null
+            });
+        });
+
+        return lines;
+    },
+
+    /**
+     * Parse an FNB amount (e.g. "1 200.00", "R300", "-50.00")
+     * @param {string} value - Amount cell
+     * @returns {number|null} Amount in Rand
+     */
+    parseAmount(value) {
+        if (!value) return null;
+        const cleaned = value.replace(/[R\s']/gi, '').replace(/,(?=\d{3}(\D|$))/g, '');
+        const amount = parseFloat(cleaned.replace(',', '.'));
+        return isNaN(amount) ? null : amount;
+    },
+
+    /**
+     * Parse the date formats FNB uses (2024/01/05, 05/01/2024, 05 Jan 2024)
+     * @param {string} value - Date cell
+     * @returns {Date|null} Parsed date (local midnight)
+     */
+    parseDate(value) {
+        if (!value) return null;
+        const cleaned = value.replace(/'/g, '').trim();
+        let match;
+
+        if ((match = cleaned.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/))) {
+            return new Date(+match[1], +match[2] - 1, +match[3]);
+        }
+
+        if ((match = cleaned.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) {
+            return new Date(+match[3], +match[2] - 1, +match[1]);
+        }
+
+        if ((match = cleaned.match(/^(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\s+(\d{4})$/))) {
+            const month = this.MONTHS.indexOf(match[2].toLowerCase());
+            if (month !== -1) return new Date(+match[3], month, +match[1]);
+        }
+
+        return null;
+    },
+
+    /**
+     * Whether a statement amount pays a submission (with or without its fine)
+     * @param {number} amount - Statement amount
+     * @param {object} submission - Submission data
+     * @returns {boolean} Whether the amounts agree
+     */
+    amountMatches(amount, submission) {
+        const cents = Utils.toCents(amount);
+        return cents === Utils.toCents(submission.amount) ||
+            cents === Utils.toCents(submission.amount) + Utils.toCents(submission.fineAmount);
+    },
+
+    /**
+     * Whether a statement date falls inside the window around the payment date
+     * @param {Date} date - Statement date
+     * @param {object} submission - Submission data
+     * @returns {boolean} Whether the dates agree
+     */
+    dateMatches(date, submission) {
+        const paymentDate = submission.paymentDate?.toDate?.() || new Date(submission.paymentDate);
+        if (isNaN(paymentDate)) return false;
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const paymentDay = new Date(paymentDate.getFullYear(), paymentDate.getMonth(), paymentDate.getDate());
+        return Math.abs(date - paymentDay) <= this.DATE_WINDOW_DAYS * dayMs;
+    },
+
+    /**
+     * Match statement lines to pending submissions
+     * A line is matched when its reference code and amount agree, or when it is
+     * the only line/submission pair with the same amount inside the date window
+     * @param {Array} lines - Lines from parseStatement
+     * @param {Array} submissions - Pending submissions
+     * @returns {object} { matched, ambiguous, unmatched }
+     */
+    matchLines(lines, submissions) {
+        const results = lines.map(line => {
+            const byReference = line.reference
+                ? submissions.filter(s => (s.reference || '').toUpperCase() === line.reference)
+                : [];
+
+            if (byReference.length > 0) {
+                const agreeing = byReference.filter(s => this.amountMatches(line.amount, s));
+                if (agreeing.length === 1) {
+                    return { line, submission: agreeing[0], basis: 'reference' };
+                }
+                return {
+                    line,
+                    candidates: byReference,
+                    reason: 'Reference matches but the amount differs'
+                };
+            }
+
+            const byAmountAndDate = submissions.filter(s =>
+                this.amountMatches(line.amount, s) && this.dateMatches(line.date, s)
+            );
+
+            if (byAmountAndDate.length === 1) {
+                return { line, submission: byAmountAndDate[0], basis: 'amount_date' };
+            }
+
+            if (byAmountAndDate.length > 1) {
+                return {
+                    line,
+                    candidates: byAmountAndDate,
+                    reason: `${byAmountAndDate.length} submissions have this amount and date`
+                };
+            }
+
+            return { line };
+        });
+
+        // A submission claimed by more than one line is not a confident match
+        const claims = {};
+        results.filter(r => r.submission).forEach(r => {
+            claims[r.submission.id] = (claims[r.submission.id] || 0) + 1;
+        });
+
+        const matched = [];
+        const ambiguous = [];
+        const unmatched = [];
+
+        results.forEach(result => {
+            if (result.submission && claims[result.submission.id] > 1) {
+                ambiguous.push({
+                    line: result.line,
+                    candidates: [result.submission],
+                    reason: 'Several statement lines match this submission'
+                });
+            } else if (result.submission) {
+                matched.push(result);
+            } else if (result.candidates) {
+                ambiguous.push(result);
+            } else {
+                unmatched.push(result);
+            }
+        });
+
+        return { matched, ambiguous, unmatched };
+    }
+};
+
+// Export for use
+window.BankImport = BankImport;
@@ -6,6 +6,35 @@
  */
 
 const Database = {
+    /**
+     * Ledger accounts
+     * bank, finesReceivable and loansReceivable are assets; the rest are
+     * balances owed to members or held for them
+     */
+    LEDGER_ACCOUNTS: {
+        BANK: 'bank',
+        MEMBER_SAVINGS: 'memberSavings',
+        MEMBER_INTEREST: 'memberInterest',
+        INTEREST_POOL: 'interestPool',
+        FINES_RECEIVABLE: 'finesReceivable',
+        LOANS_RECEIVABLE: 'loansReceivable'
+    },
+
+    /**
+     * Ledger entry types
+     */
+    LEDGER_ENTRY_TYPES: {
+        CONTRIBUTION: 'contribution',
+        FINE: 'fine',
+        REVERSAL: 'reversal',
+        PAYOUT: 'payout',
+        INTEREST_ALLOCATION: 'interest_allocation',
+        BANK_INTEREST: 'bank_interest',
+        LOAN_DISBURSEMENT: 'loan_disbursement',
+        LOAN_REPAYMENT: 'loan_repayment',
+        FINE_WAIVER: 'fine_waiver'
+    },
+
     /**
      * ==========================================
      * MEMBERS OPERATIONS
@@ -105,6 +134,110 @@ const Database = {
         }
     },
 
+    /**
+     * Queue a member status change and its history record on a batch or transaction
+     * @param {object} writer - Firestore WriteBatch or Transaction
+     * @param {object} member - Member data (needs id and status)
+     * @param {string} newStatus - 'active', 'suspended', ...
+     * @param {string} reason - Why the status changed
+     * @param {object} details - Extra fields for the member and history record
+     */
+    writeStatusChange(writer, member, newStatus, reason, details = {}) {
+        const memberRef = db.collection('members').doc(member.id);
+
+        writer.update(memberRef, {
+            ...details,
+            status: newStatus,
+            statusReason: reason,
+            statusChangedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        writer.set(memberRef.collection('statusHistory').doc(), {
+            from: member.status || 'active',
+            to: newStatus,
+            reason,
+            details,
+            changedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            changedBy: Auth.currentUser?.uid || 'system'
+        });
+    },
+
+    /**
+     * Get a member's status history, most recent first
+     * @param {string} memberId - Member ID
+     * @returns {Promise<Array>} Status history records
+     */
+    async getMemberStatusHistory(memberId) {
+        try {
+            const snapshot = await db.collection('members').doc(memberId)
+                .collection('statusHistory')
+                .orderBy('changedAt', 'desc')
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('Get status history error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Reinstate a suspended member with an arrears payment plan
+     * @param {string} memberId - Member ID
+     * @param {object} plan - { arrearsAmount, instalments, firstInstalmentMonth, notes }
+     */
+    async reinstateMember(memberId, plan) {
+        try {
+            const memberRef = db.collection('members').doc(memberId);
+            const arrearsCents = Utils.toCents(plan.arrearsAmount);
+            const instalments = Math.max(1, parseInt(plan.instalments) || 1);
+
+            const paymentPlan = {
+                arrearsAmount: Utils.fromCents(arrearsCents),
+                instalments,
+                instalmentAmount: Utils.fromCents(Math.ceil(arrearsCents / instalments)),
+                firstInstalmentMonth: plan.firstInstalmentMonth,
+                notes: plan.notes || '',
+                agreedAt: new Date()
+            };
+
+            const member = await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(memberRef);
+
+                if (!doc.exists) {
+                    throw new Error('Member not found');
+                }
+
+                const current = { id: doc.id, ...doc.data() };
+
+                if (current.status !== 'suspended') {
+                    throw new Error(`${current.name} is not suspended`);
+                }
+
+                this.writeStatusChange(transaction, current, 'active', 'Reinstated on arrears payment plan', {
+                    skippedMonths: 0,
+                    paymentPlan,
+                    reinstatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                return current;
+            });
+
+            await Auth.logAdminAction('member_reinstated', {
+                memberId,
+                memberName: member.name,
+                paymentPlan
+            });
+        } catch (error) {
+            console.error('Reinstate member error:', error);
+            throw error;
+        }
+    },
+
     /**
      * ==========================================
      * SUBMISSIONS OPERATIONS
@@ -114,27 +247,67 @@ const Database = {
     /**
      * Submit proof of payment
      * @param {object} submissionData - Submission data
+     * @param {object} options - { allowDuplicate: submit even if it repeats one on file (flagged for the admin), submissionId: ID from createSubmissionId (new when omitted) }
      * @returns {Promise<string>} Reference code
      */
-    async submitPOP(submissionData) {
+    async submitPOP(submissionData, options = {}) {
         try {
-            const reference = Utils.generateReference();
+            await this.checkCanSubmit(submissionData.phone);
+
+            // A repeat of a payment already on file is usually a double tap or a
+            // retry after a slow upload, so the member must confirm it first
+            const duplicates = await this.findDuplicateSubmissions(submissionData);
+            if (duplicates.length > 0 && !options.allowDuplicate) {
+                throw this.buildDuplicateSubmissionError(duplicates);
+            }
+
+            // Queued submissions keep the reference the member was shown offline
+            const reference = submissionData.reference || Utils.generateReference();
             
-            // Check if payment is late
+            // Check if payment is late against the rules for its month
+            // (loan repayments are never fined)
             const paymentDate = new Date(submissionData.paymentDate);
-            const isLate = Utils.isPaymentLate(paymentDate);
-            const fineAmount = isLate ? (APP_SETTINGS?.lateFineAmount || 50) : 0;
+            const rules = await this.getRules(submissionData.paymentMonth || paymentDate);
+            const isLate = this.isContribution(submissionData) &&
+                Utils.isPaymentLate(paymentDate, submissionData.paymentMonth);
+            const fineAmount = isLate ? rules.lateFineAmount : 0;
             
-            const docRef = await db.collection('submissions').add({
+            const phone = submissionData.phone.replace(/[\s-]/g, '');
+            const docRef = options.submissionId
+                ? db.collection('submissions').doc(options.submissionId)
+                : db.collection('submissions').doc();
+            const batch = db.batch();
+
+            batch.set(docRef, {
                 ...submissionData,
-                phone: submissionData.phone.replace(/[\s-]/g, ''),
+                phone,
                 reference,
                 status: 'pending',
                 isLate,
                 fineAmount,
+                rulesEffectiveFrom: rules.effectiveFrom,
+                suspectedDuplicate: duplicates.length > 0,
+                duplicateOf: duplicates.map(d => d.id),
                 submittedAt: firebase.firestore.FieldValue.serverTimestamp(),
                 updatedAt: firebase.firestore.FieldValue.serverTimestamp()
             });
+
+            // Keep the hashes in a small index so duplicates can be found
+            // without downloading every proof image
+            const hashes = Utils.getProofs(submissionData).map(p => p.proofHash).filter(Boolean);
+            if (hashes.length > 0) {
+                batch.set(db.collection('proofHashes').doc(docRef.id), {
+                    hash: hashes[0],
+                    hashes,
+                    reference,
+                    name: submissionData.name,
+                    phone,
+                    paymentMonth: submissionData.paymentMonth,
+                    submittedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+            }
+
+            await batch.commit();
             
             return reference;
         } catch (error) {
@@ -143,6 +316,60 @@ const Database = {
         }
     },
 
+    /**
+     * Pick the ID for a new submission without writing anything, so every
+     * attempt to send it (including Firestore's own offline retries) writes
+     * the same document
+     * @returns {string} Submission ID
+     */
+    createSubmissionId() {
+        return db.collection('submissions').doc().id;
+    },
+
+    /**
+     * Find submissions still on file (not rejected or reversed) for the same
+     * phone, payment month, amount and payment date
+     * @param {object} submissionData - Submission about to be created
+     * @returns {Promise<Array>} Matching submissions
+     */
+    async findDuplicateSubmissions(submissionData) {
+        try {
+            const snapshot = await db.collection('submissions')
+                .where('phone', '==', submissionData.phone.replace(/[\s-]/g, ''))
+                .where('paymentMonth', '==', submissionData.paymentMonth)
+                .get();
+
+            const amountCents = Utils.toCents(submissionData.amount);
+            const paymentDay = new Date(submissionData.paymentDate).toDateString();
+
+            return snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(s => s.status !== 'rejected' && s.status !== 'reversed')
+                .filter(s => Utils.toCents(s.amount) === amountCents)
+                .filter(s => {
+                    const date = s.paymentDate?.toDate?.() || new Date(s.paymentDate);
+                    return date.toDateString() === paymentDay;
+                });
+        } catch (error) {
+            console.error('Find duplicate submissions error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Build the error thrown when a submission repeats one already on file
+     * @param {Array} duplicates - Matching submissions
+     * @returns {Error} Error with code 'duplicate-submission' and the matches
+     */
+    buildDuplicateSubmissionError(duplicates) {
+        const error = new Error(
+            `This payment was already submitted (reference ${duplicates[0].reference}).`
+        );
+        error.code = 'duplicate-submission';
+        error.duplicates = duplicates;
+        return error;
+    },
+
     /**
      * Get pending submissions
      * @returns {Promise<Array>} Array of pending submissions
@@ -238,56 +465,157 @@ const Database = {
         }
     },
 
+    /**
+     * Find earlier proofs that look like the same image as any of a submission's proofs
+     * @param {object} submission - Submission data (with id and proof hashes)
+     * @param {number} maxDistance - Most differing hash bits still counted as a match
+     * @returns {Promise<Array>} Matches { submissionId, reference, name, phone, paymentMonth, distance }, closest first
+     */
+    async findSimilarProofs(submission, maxDistance = APP_SETTINGS.similarProofMaxDistance) {
+        try {
+            const ownHashes = Utils.getProofs(submission).map(p => p.proofHash).filter(Boolean);
+            if (ownHashes.length === 0) return [];
+
+            // Closest pair between this submission's files and an earlier one's
+            const closest = (hashes) => Math.min(
+                ...ownHashes.flatMap(own => hashes.map(hash => Utils.hashDistance(own, hash)))
+            );
+
+            // Only earlier proofs count; corrected copies keep the original's
+            // submittedAt, so a correction never matches the proof it replaced
+            const submittedAt = submission.submittedAt?.toMillis?.() ?? Infinity;
+            const snapshot = await db.collection('proofHashes').get();
+
+            return snapshot.docs
+                .filter(doc => doc.id !== submission.id)
+                .map(doc => ({ submissionId: doc.id, ...doc.data() }))
+                .filter(entry => (entry.submittedAt?.toMillis?.() ?? Infinity) < submittedAt)
+                .map(entry => ({ ...entry, distance: closest(entry.hashes || [entry.hash]) }))
+                .filter(entry => entry.distance <= maxDistance)
+                .sort((a, b) => a.distance - b.distance);
+        } catch (error) {
+            console.error('Find similar proofs error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Build the error thrown when a submission has already been approved or rejected
+     * @param {object} submission - Submission data as currently stored
+     * @returns {Error} Error with code 'already-processed'
+     */
+    buildAlreadyProcessedError(submission) {
+        const isVerified = submission.status === 'verified';
+        const processedBy = (isVerified ? submission.verifiedBy : submission.rejectedBy) || 'another admin';
+        const processedAt = isVerified ? submission.verifiedAt : submission.rejectedAt;
+        const when = processedAt ? ` (${Utils.formatDate(processedAt, 'relative')})` : '';
+
+        const error = new Error(
+            `Submission ${submission.reference || ''} was already ${submission.status} by ${processedBy}${when}`
+                .replace(/\s+/g, ' ')
+        );
+        error.code = 'already-processed';
+        error.status = submission.status;
+        error.processedBy = processedBy;
+        return error;
+    },
+
     /**
      * Approve a submission
+     * Runs as a transaction so two admins approving the same POP cannot both credit the member
      * @param {string} submissionId - Submission ID
      * @param {string} memberId - Linked member ID (optional)
      */
     async approveSubmission(submissionId, memberId = null) {
         try {
-            const batch = db.batch();
-            
             const submissionRef = db.collection('submissions').doc(submissionId);
-            const submission = await this.getSubmission(submissionId);
-            
-            if (!submission) {
-                throw new Error('Submission not found');
-            }
-            
-            // Update submission status
-            batch.update(submissionRef, {
-                status: 'verified',
-                memberId,
-                verifiedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                verifiedBy: Auth.currentUser?.uid || 'admin',
-                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
-            
-            // If member linked, update their stats
-            if (memberId) {
-                const memberRef = db.collection('members').doc(memberId);
-                batch.update(memberRef, {
-                    totalSavings: firebase.firestore.FieldValue.increment(submission.amount),
-                    totalFines: firebase.firestore.FieldValue.increment(submission.fineAmount || 0),
-                    verifiedCount: firebase.firestore.FieldValue.increment(1),
-                    lastPaymentDate: firebase.firestore.FieldValue.serverTimestamp(),
-                    skippedMonths: 0,
-                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-                });
-            }
-            
-            // If late, add to interest pool
-            if (submission.fineAmount > 0) {
+            const adminId = Auth.currentUser?.uid || 'admin';
+
+            const submission = await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(submissionRef);
+
+                if (!doc.exists) {
+                    throw new Error('Submission not found');
+                }
+
+                const current = { id: doc.id, ...doc.data() };
+
+                if (current.status !== 'pending') {
+                    throw this.buildAlreadyProcessedError(current);
+                }
+
+                // An exited member's settlement is final, so nothing more can be credited
+                // (checked here as well as on submit, which can be bypassed)
+                if (memberId) {
+                    const memberDoc = await transaction.get(db.collection('members').doc(memberId));
+                    if (memberDoc.exists && memberDoc.data().status === 'exited') {
+                        const error = new Error(`${memberDoc.data().name} has left the stokvel and their settlement is final. Reject this submission instead.`);
+                        error.code = 'member-exited';
+                        throw error;
+                    }
+                }
+
+                // Loan repayments go against the loan, not the member's savings
+                if (current.paymentType === 'loan_repayment') {
+                    const loanAllocation = await this.applyLoanRepayment(transaction, current, memberId);
+
+                    transaction.update(submissionRef, {
+                        status: 'verified',
+                        memberId,
+                        loanAllocation,
+                        verifiedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                        verifiedBy: adminId,
+                        ledgerPosted: true,
+                        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+
+                    return current;
+                }
+
+                const fineAmount = Utils.getNetFine(current);
                 const year = new Date().getFullYear();
-                const interestRef = db.collection('interestPool').doc(year.toString());
-                batch.set(interestRef, {
-                    totalFines: firebase.firestore.FieldValue.increment(submission.fineAmount),
+
+                // Update submission status
+                transaction.update(submissionRef, {
+                    status: 'verified',
+                    memberId,
+                    verifiedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    verifiedBy: adminId,
+                    ledgerPosted: true,
+                    ...(fineAmount > 0 ? { finePoolYear: year } : {}),
                     updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-                }, { merge: true });
-            }
-            
-            await batch.commit();
-            
+                });
+
+                // Record the money movement in the ledger
+                this.buildSubmissionLedgerEntries(current, memberId).forEach(entry => {
+                    this.postLedgerEntry(transaction, entry);
+                });
+
+                // If member linked, update their stats
+                if (memberId) {
+                    const memberRef = db.collection('members').doc(memberId);
+                    transaction.update(memberRef, {
+                        totalSavings: firebase.firestore.FieldValue.increment(current.amount),
+                        totalFines: firebase.firestore.FieldValue.increment(Utils.getNetFine(current)),
+                        verifiedCount: firebase.firestore.FieldValue.increment(1),
+                        lastPaymentDate: firebase.firestore.FieldValue.serverTimestamp(),
+                        skippedMonths: 0,
+                        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+
+                // If late, add to interest pool
+                if (fineAmount > 0) {
+                    const interestRef = db.collection('interestPool').doc(year.toString());
+                    transaction.set(interestRef, {
+                        totalFines: firebase.firestore.FieldValue.increment(fineAmount),
+                        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    }, { merge: true });
+                }
+
+                return current;
+            });
+
             await Auth.logAdminAction('submission_approved', {
                 submissionId,
                 reference: submission.reference,
@@ -302,24 +630,42 @@ const Database = {
 
     /**
      * Reject a submission
+     * Runs as a transaction so an already approved submission cannot be rejected
      * @param {string} submissionId - Submission ID
      * @param {string} reason - Rejection reason
      */
     async rejectSubmission(submissionId, reason = '') {
         try {
-            const submission = await this.getSubmission(submissionId);
-            
-            await db.collection('submissions').doc(submissionId).update({
-                status: 'rejected',
-                rejectionReason: reason,
-                rejectedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                rejectedBy: Auth.currentUser?.uid || 'admin',
-                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            const submissionRef = db.collection('submissions').doc(submissionId);
+            const adminId = Auth.currentUser?.uid || 'admin';
+
+            const submission = await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(submissionRef);
+
+                if (!doc.exists) {
+                    throw new Error('Submission not found');
+                }
+
+                const current = { id: doc.id, ...doc.data() };
+
+                if (current.status !== 'pending') {
+                    throw this.buildAlreadyProcessedError(current);
+                }
+
+                transaction.update(submissionRef, {
+                    status: 'rejected',
+                    rejectionReason: reason,
+                    rejectedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    rejectedBy: adminId,
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                return current;
             });
-            
+
             await Auth.logAdminAction('submission_rejected', {
                 submissionId,
-                reference: submission?.reference,
+                reference: submission.reference,
                 reason
             });
         } catch (error) {
@@ -328,45 +674,2799 @@ const Database = {
         }
     },
 
+    /**
+     * Reverse an approved submission
+     * Posts a reversing entry for each of its ledger entries, takes it off the
+     * member, pool and loan counters and marks it 'reversed'. With a correction
+     * a pending copy is created so the right version can be approved.
+     * @param {string} submissionId - Verified submission ID
+     * @param {string} reason - Why it is being reversed
+     * @param {object} correction - Optional { name, phone, amount, paymentMonth, paymentDate } for the pending copy
+     * @returns {Promise<string|null>} ID of the corrected copy, if one was created
+     */
+    async reverseSubmission(submissionId, reason, correction = null) {
+        try {
+            if (!reason?.trim()) {
+                throw new Error('Please give a reason for the reversal');
+            }
+
+            if (correction && !(Utils.toCents(correction.amount) > 0)) {
+                throw new Error('Please enter the corrected amount');
+            }
+
+            const submissionRef = db.collection('submissions').doc(submissionId);
+            const adminId = Auth.currentUser?.uid || 'admin';
+
+            // Ledger entries cannot be queried inside a transaction, so read them first
+            const entries = (await this.getLedgerEntries({ submissionId }))
+                .filter(entry => entry.type !== this.LEDGER_ENTRY_TYPES.REVERSAL);
+
+            const correctedRef = correction ? db.collection('submissions').doc() : null;
+
+            // The copy's lateness is worked out again below, under its own month's rules
+            if (correction) {
+                await this.getRules();
+            }
+
+            const submission = await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(submissionRef);
+
+                if (!doc.exists) {
+                    throw new Error('Submission not found');
+                }
+
+                const current = { id: doc.id, ...doc.data() };
+
+                if (current.status !== 'verified') {
+                    const error = new Error(`Submission ${current.reference || ''} is ${current.status}, not verified`.replace(/\s+/g, ' '));
+                    error.code = 'not-verified';
+                    throw error;
+                }
+
+                const isLoanRepayment = current.paymentType === 'loan_repayment';
+                const fineAmount = Utils.getNetFine(current);
+                const verifiedYear = (current.verifiedAt?.toDate?.() || new Date()).getFullYear();
+                const finePoolYear = current.finePoolYear || verifiedYear;
+                const parsedMonth = Utils.parsePaymentMonth(current.paymentMonth);
+
+                // A closed year has been paid out and summarised; it cannot change
+                const years = new Set();
+                if (isLoanRepayment) {
+                    if (current.loanAllocation?.interest > 0) years.add(current.loanAllocation.poolYear);
+                } else {
+                    if (parsedMonth) years.add(parsedMonth.year);
+                    if (fineAmount > 0) years.add(finePoolYear);
+                }
+
+                const yearDocs = await Promise.all([...years].map(year =>
+                    transaction.get(db.collection('financialYears').doc(year.toString()))
+                ));
+                const closedYear = yearDocs.find(yearDoc => yearDoc.exists && yearDoc.data().status === 'closed');
+                if (closedYear) {
+                    throw new Error(`${closedYear.id} has been closed; its payments can no longer be reversed`);
+                }
+
+                // Contributions already paid out to a rotation recipient stay put
+                if (!isLoanRepayment && parsedMonth) {
+                    const rotationDoc = await transaction.get(
+                        db.collection('payouts').doc(`rotation_${Utils.getMonthKey(parsedMonth.month, parsedMonth.year)}`)
+                    );
+                    if (rotationDoc.exists && (rotationDoc.data().contributions || []).some(c => c.memberId === current.memberId)) {
+                        throw new Error(`${current.paymentMonth} has already been paid out in the rotation`);
+                    }
+                }
+
+                const loanDoc = isLoanRepayment && current.loanAllocation
+                    ? await transaction.get(db.collection('loans').doc(current.loanAllocation.loanId))
+                    : null;
+
+                // Writes start here (all reads are done)
+                entries.forEach(entry => {
+                    this.postLedgerEntry(transaction, this.buildReversalEntry(entry, {
+                        reversesEntryId: entry.id,
+                        description: `Reversal of ${entry.description || entry.type}: ${reason.trim()}`
+                    }));
+                });
+
+                if (isLoanRepayment) {
+                    if (loanDoc) {
+                        this.undoLoanRepayment(transaction, current, loanDoc);
+                    }
+                } else {
+                    if (current.memberId) {
+                        transaction.update(db.collection('members').doc(current.memberId), {
+                            totalSavings: firebase.firestore.FieldValue.increment(-current.amount),
+                            totalFines: firebase.firestore.FieldValue.increment(-fineAmount),
+                            verifiedCount: firebase.firestore.FieldValue.increment(-1),
+                            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                        });
+                    }
+
+                    if (fineAmount > 0) {
+                        transaction.set(db.collection('interestPool').doc(finePoolYear.toString()), {
+                            totalFines: firebase.firestore.FieldValue.increment(-fineAmount),
+                            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                        }, { merge: true });
+                    }
+                }
+
+                transaction.update(submissionRef, {
+                    status: 'reversed',
+                    reversalReason: reason.trim(),
+                    reversedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    reversedBy: adminId,
+                    ...(correctedRef ? { correctedBy: correctedRef.id } : {}),
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                if (correctedRef) {
+                    // The copy goes back to Pending without the approval fields
+                    const {
+                        id, status, memberId, verifiedAt, verifiedBy, ledgerPosted,
+                        loanAllocation, finePoolYear: poolYear, ...original
+                    } = current;
+
+                    // Judge the corrected payment the way submitPOP does
+                    const paymentMonth = correction.paymentMonth || current.paymentMonth;
+                    const paymentDate = correction.paymentDate
+                        ? new Date(correction.paymentDate)
+                        : current.paymentDate?.toDate?.() || new Date(current.paymentDate);
+                    const rules = Utils.getRulesForMonth(paymentMonth || paymentDate);
+                    const isLate = this.isContribution(current) && Utils.isPaymentLate(paymentDate, paymentMonth);
+
+                    transaction.set(correctedRef, {
+                        ...original,
+                        name: correction.name || current.name,
+                        phone: (correction.phone || current.phone).replace(/[\s-]/g, ''),
+                        amount: Utils.fromCents(Utils.toCents(correction.amount)),
+                        paymentMonth,
+                        paymentDate,
+                        isLate,
+                        fineAmount: isLate ? rules.lateFineAmount : 0,
+                        rulesEffectiveFrom: rules.effectiveFrom,
+                        status: 'pending',
+                        correctedFrom: submissionId,
+                        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+
+                return current;
+            });
+
+            await Auth.logAdminAction('submission_reversed', {
+                submissionId,
+                reference: submission.reference,
+                amount: submission.amount,
+                memberId: submission.memberId || null,
+                reason: reason.trim(),
+                correctedId: correctedRef?.id || null
+            });
+
+            return correctedRef?.id || null;
+        } catch (error) {
+            console.error('Reverse submission error:', error);
+            throw error;
+        }
+    },
+
     /**
      * ==========================================
-     * STATISTICS & REPORTS
+     * LEDGER OPERATIONS
      * ==========================================
+     * Every money movement is a balanced set of debit/credit lines.
+     * Member and pool counters are caches of these entries.
      */
 
     /**
-     * Get dashboard statistics
-     * @returns {Promise<object>} Statistics object
+     * Get where balances should be read from
+     * @returns {string} 'counters' or 'ledger'
      */
-    async getDashboardStats() {
+    getBalanceSource() {
+        return APP_SETTINGS?.balanceSource === 'ledger' ? 'ledger' : 'counters';
+    },
+
+    /**
+     * Build a ledger entry, checking that debits equal credits
+     * @param {string} type - One of LEDGER_ENTRY_TYPES
+     * @param {Array} lines - Lines of { account, debit, credit, memberId }
+     * @param {object} meta - Extra fields (memberId, submissionId, description, ...)
+     * @returns {object} Ledger entry document data
+     */
+    buildLedgerEntry(type, lines, meta = {}) {
+        const normalizedLines = lines
+            .map(line => ({
+                account: line.account,
+                memberId: line.memberId || null,
+                debit: Utils.fromCents(Utils.toCents(line.debit)),
+                credit: Utils.fromCents(Utils.toCents(line.credit))
+            }))
+            .filter(line => line.debit !== 0 || line.credit !== 0);
+
+        const debitCents = normalizedLines.reduce((sum, l) => sum + Utils.toCents(l.debit), 0);
+        const creditCents = normalizedLines.reduce((sum, l) => sum + Utils.toCents(l.credit), 0);
+
+        if (normalizedLines.length === 0) {
+            throw new Error('Ledger entry has no lines');
+        }
+
+        if (debitCents !== creditCents) {
+            throw new Error(`Ledger entry is not balanced (debits ${debitCents}c, credits ${creditCents}c)`);
+        }
+
+        // Firestore rejects undefined values
+        const extra = Object.fromEntries(
+            Object.entries(meta).filter(([, value]) => value !== undefined)
+        );
+
+        // Every member on the entry, so a member's entries can be found even when
+        // the top-level memberId is someone else (e.g. a rotation payout)
+        const memberIds = [...new Set([meta.memberId, ...normalizedLines.map(l => l.memberId)].filter(Boolean))];
+
+        return {
+            type,
+            memberId: meta.memberId || null,
+            memberIds,
+            submissionId: meta.submissionId || null,
+            reference: meta.reference || null,
+            description: meta.description || '',
+            ...extra,
+            lines: normalizedLines,
+            amount: Utils.fromCents(debitCents),
+            postedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            postedBy: Auth.currentUser?.uid || 'system'
+        };
+    },
+
+    /**
+     * Write a ledger entry as part of a batch or transaction
+     * @param {object} writer - Firestore WriteBatch or Transaction
+     * @param {object} entry - Entry built with buildLedgerEntry
+     * @returns {object} Document reference of the new entry
+     */
+    postLedgerEntry(writer, entry) {
+        const entryRef = db.collection('ledgerEntries').doc();
+        writer.set(entryRef, entry);
+        return entryRef;
+    },
+
+    /**
+     * Build a reversing entry that cancels an earlier entry
+     * @param {object} entry - Original ledger entry data
+     * @param {object} meta - Extra fields for the reversal
+     * @returns {object} Ledger entry document data
+     */
+    buildReversalEntry(entry, meta = {}) {
+        const lines = entry.lines.map(line => ({
+            account: line.account,
+            memberId: line.memberId,
+            debit: line.credit,
+            credit: line.debit
+        }));
+
+        return this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.REVERSAL, lines, {
+            memberId: entry.memberId,
+            submissionId: entry.submissionId,
+            reference: entry.reference,
+            reversesType: entry.type,
+            ...meta
+        });
+    },
+
+    /**
+     * Build the ledger entries for an approved submission
+     * The contribution is owed back to the member; a late fine goes to the interest pool
+     * @param {object} submission - Submission data
+     * @param {string} memberId - Linked member ID
+     * @returns {Array} Ledger entries
+     */
+    buildSubmissionLedgerEntries(submission, memberId) {
+        const { BANK, MEMBER_SAVINGS, INTEREST_POOL } = this.LEDGER_ACCOUNTS;
+        const meta = {
+            memberId,
+            submissionId: submission.id,
+            reference: submission.reference,
+            paymentMonth: submission.paymentMonth || null
+        };
+        const entries = [
+            this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.CONTRIBUTION, [
+                { account: BANK, debit: submission.amount },
+                { account: MEMBER_SAVINGS, memberId, credit: submission.amount }
+            ], { ...meta, description: `Contribution for ${submission.paymentMonth}` })
+        ];
+
+        const fineAmount = Utils.getNetFine(submission);
+
+        if (fineAmount > 0) {
+            entries.push(this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.FINE, [
+                { account: BANK, debit: fineAmount },
+                { account: INTEREST_POOL, memberId, credit: fineAmount }
+            ], { ...meta, description: `Late fine for ${submission.paymentMonth}` }));
+        }
+
+        return entries;
+    },
+
+    /**
+     * Get ledger entries with optional filters
+     * @param {object} filters - Optional filters (memberId, submissionId)
+     * @returns {Promise<Array>} Array of ledger entries
+     */
+    async getLedgerEntries(filters = {}) {
         try {
-            const [members, pendingSubmissions, verifiedSubmissions] = await Promise.all([
-                this.getMembers(),
-                this.getPendingSubmissions(),
-                db.collection('submissions').where('status', '==', 'verified').get()
-            ]);
-            
-            const totalSavings = members.reduce((sum, m) => sum + (m.totalSavings || 0), 0);
-            const totalFines = members.reduce((sum, m) => sum + (m.totalFines || 0), 0);
-            
-            return {
-                memberCount: members.length,
-                pendingCount: pendingSubmissions.length,
-                verifiedCount: verifiedSubmissions.size,
-                totalSavings,
-                totalFines,
-                activeMembers: members.filter(m => m.status === 'active').length
-            };
+            let query = db.collection('ledgerEntries');
+
+            if (filters.submissionId) {
+                query = query.where('submissionId', '==', filters.submissionId);
+            }
+
+            // Entries posted before memberIds existed only carry the top-level memberId
+            const queries = filters.memberId
+                ? [
+                    query.where('memberIds', 'array-contains', filters.memberId),
+                    query.where('memberId', '==', filters.memberId)
+                ]
+                : [query];
+
+            const snapshots = await Promise.all(queries.map(q => q.get()));
+            const entries = new Map();
+
+            snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+                entries.set(doc.id, { id: doc.id, ...doc.data() });
+            }));
+
+            return [...entries.values()];
         } catch (error) {
-            console.error('Get stats error:', error);
+            console.error('Get ledger entries error:', error);
             throw error;
         }
     },
 
     /**
-     * Get member statistics for their account view
-     * @param {string} phone - Member phone number
-     * @returns {Promise<object>} Member statistics
+     * Derive balances from ledger entries
+     * Fines are interest pool credits that carry a memberId
+     * @param {Array} entries - Ledger entries
+     * @returns {object} Per-member balances and stokvel totals (in Rand)
+     */
+    summariseLedger(entries) {
+        const { BANK, MEMBER_SAVINGS, MEMBER_INTEREST, INTEREST_POOL, FINES_RECEIVABLE, LOANS_RECEIVABLE } = this.LEDGER_ACCOUNTS;
+        const members = {};
+        const totals = { savings: 0, fines: 0, interestPool: 0, bank: 0, loans: 0 };
+
+        const memberTotals = (memberId) => {
+            if (!members[memberId]) {
+                members[memberId] = { savings: 0, fines: 0, interest: 0, outstandingFines: 0, loanPrincipal: 0 };
+            }
+            return members[memberId];
+        };
+
+        entries.forEach(entry => {
+            (entry.lines || []).forEach(line => {
+                const net = Utils.toCents(line.credit) - Utils.toCents(line.debit);
+
+                switch (line.account) {
+                    case BANK:
+                        totals.bank -= net;
+                        break;
+                    case MEMBER_SAVINGS:
+                        totals.savings += net;
+                        if (line.memberId) memberTotals(line.memberId).savings += net;
+                        break;
+                    case MEMBER_INTEREST:
+                        if (line.memberId) memberTotals(line.memberId).interest += net;
+                        break;
+                    case INTEREST_POOL:
+                        totals.interestPool += net;
+                        if (line.memberId) {
+                            totals.fines += net;
+                            memberTotals(line.memberId).fines += net;
+                        }
+                        break;
+                    case FINES_RECEIVABLE:
+                        if (line.memberId) memberTotals(line.memberId).outstandingFines -= net;
+                        break;
+                    case LOANS_RECEIVABLE:
+                        totals.loans -= net;
+                        if (line.memberId) memberTotals(line.memberId).loanPrincipal -= net;
+                        break;
+                }
+            });
+        });
+
+        Object.values(members).forEach(m => {
+            m.savings = Utils.fromCents(m.savings);
+            m.fines = Utils.fromCents(m.fines);
+            m.interest = Utils.fromCents(m.interest);
+            m.outstandingFines = Utils.fromCents(m.outstandingFines);
+            m.loanPrincipal = Utils.fromCents(m.loanPrincipal);
+        });
+
+        return {
+            members,
+            totalSavings: Utils.fromCents(totals.savings),
+            totalFines: Utils.fromCents(totals.fines),
+            interestPool: Utils.fromCents(totals.interestPool),
+            bankBalance: Utils.fromCents(totals.bank),
+            loansOutstanding: Utils.fromCents(totals.loans)
+        };
+    },
+
+    /**
+     * Post ledger entries for verified submissions approved before the ledger existed
+     * Call this from browser console as admin: Database.backfillLedger()
+     * @returns {Promise<number>} Number of submissions posted
+     */
+    async backfillLedger() {
+        try {
+            const snapshot = await db.collection('submissions')
+                .where('status', '==', 'verified')
+                .get();
+
+            const unposted = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(s => !s.ledgerPosted && s.memberId);
+
+            for (const submission of unposted) {
+                const batch = db.batch();
+                // A fine waived after approval has its own fine_waiver entry, so post the full fine
+                this.buildSubmissionLedgerEntries({ ...submission, fineWaivedAmount: 0 }, submission.memberId).forEach(entry => {
+                    this.postLedgerEntry(batch, { ...entry, backfilled: true });
+                });
+                batch.update(db.collection('submissions').doc(submission.id), {
+                    ledgerPosted: true,
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+                await batch.commit();
+            }
+
+            await Auth.logAdminAction('ledger_backfilled', { count: unposted.length });
+            console.log(`Posted ledger entries for ${unposted.length} submissions`);
+            return unposted.length;
+        } catch (error) {
+            console.error('Backfill ledger error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Move proof images stored inline on submissions (base64 proofURL) into the
+     * proofs collection, leaving a proofId in their place, and add the list
+     * thumbnail to submissions without one. Run from the browser console as
+     * admin; submissions already done are skipped
+     * @returns {Promise<number>} Number of submissions migrated
+     */
+    async migrateInlineProofs() {
+        try {
+            const PAGE_SIZE = 20;
+            const isInline = (proof) => Storage.isBase64DataURL(proof.proofURL);
+            let lastDoc = null;
+            let migrated = 0;
+
+            // Page through submissions so only a few inline images are held at once
+            while (true) {
+                let query = db.collection('submissions')
+                    .orderBy(firebase.firestore.FieldPath.documentId())
+                    .limit(PAGE_SIZE);
+                if (lastDoc) query = query.startAfter(lastDoc);
+
+                const snapshot = await query.get();
+                if (snapshot.empty) break;
+                lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+                for (const doc of snapshot.docs) {
+                    const submission = { id: doc.id, ...doc.data() };
+                    const proofs = Utils.getProofs(submission);
+                    const needsThumbnail = proofs.length > 0 && !submission.proofThumbnail;
+                    if (!proofs.some(isInline) && !needsThumbnail) continue;
+
+                    const batch = db.batch();
+                    const moved = [];
+                    for (const proof of proofs) {
+                        if (!isInline(proof)) {
+                            moved.push(null);
+                            continue;
+                        }
+                        const proofId = await Storage.saveProof(proof.proofURL, {
+                            reference: submission.reference,
+                            submissionId: submission.id,
+                            sourceType: proof.sourceType,
+                            proofHash: proof.proofHash
+                        }, batch);
+                        moved.push({ proofId, proofHash: proof.proofHash || null, sourceType: proof.sourceType || null });
+                    }
+
+                    const [main, ...additional] = moved;
+                    const update = { updatedAt: firebase.firestore.FieldValue.serverTimestamp() };
+                    if (needsThumbnail) {
+                        try {
+                            const image = await Storage.dataURLToBlob(await Storage.getProofURL(proofs[0]));
+                            update.proofThumbnail = await Storage.createThumbnail(image);
+                        } catch (thumbnailError) {
+                            console.warn(`No thumbnail for ${submission.id}:`, thumbnailError);
+                        }
+                    }
+                    if (main) {
+                        update.proofId = main.proofId;
+                        update.proofURL = firebase.firestore.FieldValue.delete();
+                    }
+                    if (additional.some(Boolean)) {
+                        update.additionalProofs = submission.additionalProofs.map((proof, i) => additional[i] || proof);
+                    }
+                    // Nothing to write (e.g. the only change was a thumbnail that failed)
+                    if (Object.keys(update).length === 1) continue;
+                    batch.update(doc.ref, update);
+
+                    await batch.commit();
+                    migrated++;
+                }
+            }
+
+            await Auth.logAdminAction('proofs_migrated', { count: migrated });
+            console.log(`Moved proofs or added thumbnails for ${migrated} submissions`);
+            return migrated;
+        } catch (error) {
+            console.error('Migrate inline proofs error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * ==========================================
+     * RECONCILIATION
+     * ==========================================
+     */
+
+    /**
+     * Member fields checked during reconciliation
+     */
+    RECONCILED_FIELDS: ['totalSavings', 'totalFines', 'verifiedCount'],
+
+    /**
+     * Recompute every member's totals from their verified submissions
+     * (plus month-close fines, less savings paid out) and compare them with the cached counters on the member documents
+     * @returns {Promise<object>} { checkedCount, unlinkedCount, mismatches }
+     */
+    async reconcileMembers() {
+        try {
+            const [members, verifiedSnapshot, finesSnapshot, payoutsSnapshot] = await Promise.all([
+                this.getMembers(),
+                db.collection('submissions').where('status', '==', 'verified').get(),
+                db.collection('fines').get(),
+                db.collection('payouts').get()
+            ]);
+
+            const expectedByMember = {};
+            let unlinkedCount = 0;
+
+            const expectedFor = (memberId) => expectedByMember[memberId] ||
+                (expectedByMember[memberId] = { savings: 0, fines: 0, count: 0 });
+
+            verifiedSnapshot.docs.forEach(doc => {
+                const submission = doc.data();
+
+                if (!submission.memberId) {
+                    unlinkedCount++;
+                    return;
+                }
+
+                // Loan repayments are not savings
+                if (!this.isContribution(submission)) return;
+
+                const expected = expectedFor(submission.memberId);
+                expected.savings += Utils.toCents(submission.amount);
+                expected.fines += Utils.toCents(Utils.getNetFine(submission));
+                expected.count += 1;
+            });
+
+            // Fines charged at month close for months with no payment
+            finesSnapshot.docs.forEach(doc => {
+                const fine = doc.data();
+                expectedFor(fine.memberId).fines += Utils.toCents(fine.amount);
+            });
+
+            // Savings already paid out (at year end, or to the recipient of a rotation month)
+            payoutsSnapshot.docs.forEach(doc => {
+                const payout = doc.data();
+
+                if (payout.type === 'rotation') {
+                    (payout.contributions || []).forEach(c => {
+                        expectedFor(c.memberId).savings -= Utils.toCents(c.amount);
+                    });
+                    return;
+                }
+
+                expectedFor(payout.memberId).savings -= Utils.toCents(payout.savingsAmount);
+            });
+
+            const mismatches = [];
+
+            members.forEach(member => {
+                const totals = expectedByMember[member.id] || { savings: 0, fines: 0, count: 0 };
+                const expected = {
+                    totalSavings: Utils.fromCents(totals.savings),
+                    totalFines: Utils.fromCents(totals.fines),
+                    verifiedCount: totals.count
+                };
+                const current = {
+                    totalSavings: member.totalSavings || 0,
+                    totalFines: member.totalFines || 0,
+                    verifiedCount: member.verifiedCount || 0
+                };
+
+                const fields = this.RECONCILED_FIELDS.filter(field =>
+                    Utils.toCents(current[field]) !== Utils.toCents(expected[field])
+                );
+
+                if (fields.length > 0) {
+                    mismatches.push({
+                        memberId: member.id,
+                        name: member.name,
+                        phone: member.phone,
+                        fields,
+                        current,
+                        expected
+                    });
+                }
+            });
+
+            return {
+                checkedCount: members.length,
+                unlinkedCount,
+                mismatches
+            };
+        } catch (error) {
+            console.error('Reconcile members error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Apply reconciliation corrections to member documents
+     * Each corrected member gets its own audit log entry
+     * @param {Array} mismatches - Mismatches returned by reconcileMembers
+     * @returns {Promise<number>} Number of members corrected
+     */
+    async applyReconciliation(mismatches) {
+        try {
+            const batch = db.batch();
+
+            mismatches.forEach(mismatch => {
+                const updates = {};
+                mismatch.fields.forEach(field => {
+                    updates[field] = mismatch.expected[field];
+                });
+
+                batch.update(db.collection('members').doc(mismatch.memberId), {
+                    ...updates,
+                    reconciledAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+            });
+
+            await batch.commit();
+
+            for (const mismatch of mismatches) {
+                const before = {};
+                const after = {};
+                mismatch.fields.forEach(field => {
+                    before[field] = mismatch.current[field];
+                    after[field] = mismatch.expected[field];
+                });
+
+                await Auth.logAdminAction('member_reconciled', {
+                    memberId: mismatch.memberId,
+                    memberName: mismatch.name,
+                    before,
+                    after
+                });
+            }
+
+            return mismatches.length;
+        } catch (error) {
+            console.error('Apply reconciliation error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * ==========================================
+     * MONTH CLOSE
+     * ==========================================
+     * Fines members who made no verified payment for a month.
+     * functions/index.js runs the same process on a schedule.
+     */
+
+    /**
+     * Close a month: fine every active member with no verified or pending payment for it
+     * @param {number} month - Month number (1-12)
+     * @param {number} year - Year
+     * @param {object} options - { runBy: 'admin' | 'schedule' }
+     * @returns {Promise<object>} Month close summary
+     */
+    async closeMonth(month, year, options = {}) {
+        try {
+            const paymentMonth = `${Utils.getMonthName(month)} ${year}`;
+            const monthKey = Utils.getMonthKey(month, year);
+            const monthEnd = new Date(year, month, 1);
+
+            if (monthEnd > new Date()) {
+                throw new Error(`${paymentMonth} has not ended yet`);
+            }
+
+            // Claim the month so it can only be closed once
+            // (a run that stopped part-way is resumed rather than refused)
+            const closeRef = db.collection('monthCloses').doc(monthKey);
+            await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(closeRef);
+                if (doc.exists && doc.data().status === 'completed') {
+                    const error = new Error(`${paymentMonth} was already closed`);
+                    error.code = 'already-closed';
+                    throw error;
+                }
+                transaction.set(closeRef, {
+                    paymentMonth,
+                    status: 'running',
+                    runBy: options.runBy || 'admin',
+                    startedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    startedBy: Auth.currentUser?.uid || 'admin'
+                }, { merge: true });
+            });
+
+            // A POP still waiting for review counts as paid, so members who
+            // paid near month-end are not fined before an admin gets to it
+            const [members, submittedSnapshot, finedSnapshot] = await Promise.all([
+                this.getMembers(),
+                db.collection('submissions')
+                    .where('paymentMonth', '==', paymentMonth)
+                    .where('status', 'in', ['verified', 'pending'])
+                    .get(),
+                db.collection('fines')
+                    .where('paymentMonth', '==', paymentMonth)
+                    .get()
+            ]);
+
+            // A loan repayment does not count as the month's contribution
+            const contributions = submittedSnapshot.docs
+                .map(doc => doc.data())
+                .filter(submission => this.isContribution(submission));
+            const paidMemberIds = new Set(contributions.map(submission => submission.memberId));
+            const verifiedMemberIds = new Set(contributions
+                .filter(submission => submission.status === 'verified')
+                .map(submission => submission.memberId));
+            const pendingMemberIds = [...paidMemberIds].filter(id => !verifiedMemberIds.has(id));
+            const finedMemberIds = new Set(finedSnapshot.docs.map(doc => doc.data().memberId));
+
+            // Only members who were active and had joined before the month ended
+            const skipped = members.filter(m => {
+                const joined = m.createdAt?.toDate?.();
+                return m.status === 'active' &&
+                    !paidMemberIds.has(m.id) &&
+                    (!joined || joined < monthEnd);
+            });
+            const toFine = skipped.filter(m => !finedMemberIds.has(m.id));
+
+            const { missedMonthFine: fineAmount } = await this.getRules(monthKey);
+
+            let suspendedCount = 0;
+            for (const member of toFine) {
+                const result = await this.recordSkippedMonth(member, { paymentMonth, monthKey, year, fineAmount });
+                if (result.suspended) suspendedCount++;
+            }
+
+            const summary = {
+                paymentMonth,
+                status: 'completed',
+                checkedCount: members.length,
+                skippedCount: skipped.length,
+                skippedMemberIds: skipped.map(m => m.id),
+                pendingMemberIds,
+                suspendedCount,
+                fineAmount,
+                // Members already fined for this month were not charged again
+                fineTotal: Utils.fromCents(Utils.toCents(fineAmount) * toFine.length)
+            };
+
+            await closeRef.update({
+                ...summary,
+                completedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            await Auth.logAdminAction('month_closed', {
+                paymentMonth,
+                skippedCount: summary.skippedCount,
+                fineTotal: summary.fineTotal
+            });
+
+            return summary;
+        } catch (error) {
+            console.error('Close month error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Record a skipped month for one member: count it, charge the fine and audit it
+     * @param {object} member - Member data
+     * @param {object} details - { paymentMonth, monthKey, year, fineAmount }
+     */
+    async recordSkippedMonth(member, details) {
+        const { paymentMonth, monthKey, year, fineAmount } = details;
+        const batch = db.batch();
+        const skippedMonths = (member.skippedMonths || 0) + 1;
+        const { maxSkippedMonths } = Utils.getRulesForMonth(monthKey);
+        const suspend = skippedMonths >= maxSkippedMonths;
+
+        batch.update(db.collection('members').doc(member.id), {
+            skippedMonths: firebase.firestore.FieldValue.increment(1),
+            totalFines: firebase.firestore.FieldValue.increment(fineAmount),
+            outstandingFines: firebase.firestore.FieldValue.increment(fineAmount),
+            lastSkippedMonth: paymentMonth,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        // Reaching the skipped-month limit suspends the member
+        if (suspend) {
+            this.writeStatusChange(
+                batch,
+                member,
+                'suspended',
+                `Skipped ${skippedMonths} months (limit ${maxSkippedMonths})`,
+                { suspendedAt: firebase.firestore.FieldValue.serverTimestamp() }
+            );
+        }
+
+        if (fineAmount > 0) {
+            // One fine per member per month
+            batch.set(db.collection('fines').doc(`${monthKey}_${member.id}`), {
+                memberId: member.id,
+                memberName: member.name,
+                phone: member.phone,
+                paymentMonth,
+                amount: fineAmount,
+                type: 'missed_month',
+                status: 'outstanding',
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            batch.set(db.collection('interestPool').doc(year.toString()), {
+                totalFines: firebase.firestore.FieldValue.increment(fineAmount),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+
+            const { FINES_RECEIVABLE, INTEREST_POOL } = this.LEDGER_ACCOUNTS;
+            this.postLedgerEntry(batch, this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.FINE, [
+                { account: FINES_RECEIVABLE, memberId: member.id, debit: fineAmount },
+                { account: INTEREST_POOL, memberId: member.id, credit: fineAmount }
+            ], {
+                memberId: member.id,
+                paymentMonth,
+                description: `Missed payment fine for ${paymentMonth}`
+            }));
+        }
+
+        await batch.commit();
+
+        await Auth.logAdminAction('month_skipped', {
+            memberId: member.id,
+            memberName: member.name,
+            paymentMonth,
+            fineAmount,
+            skippedMonths
+        });
+
+        if (suspend) {
+            await Auth.logAdminAction('member_suspended', {
+                memberId: member.id,
+                memberName: member.name,
+                skippedMonths
+            });
+        }
+
+        return { suspended: suspend };
+    },
+
+    /**
+     * Get month close records, most recent first
+     * @param {number} limit - Maximum records to return
+     * @returns {Promise<Array>} Month close records
+     */
+    async getMonthCloses(limit = 12) {
+        try {
+            const snapshot = await db.collection('monthCloses')
+                .orderBy(firebase.firestore.FieldPath.documentId(), 'desc')
+                .limit(limit)
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('Get month closes error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * ==========================================
+     * YEAR-END PAYOUT
+     * ==========================================
+     * Pays each member their savings for the year plus their interest share,
+     * less outstanding fines. Payout documents are immutable, one per member
+     * per year ({year}_{memberId}).
+     */
+
+    /**
+     * Get the earliest date payouts for a year may be made
+     * @param {number} year - Savings year
+     * @returns {Date} Earliest payout date (in the following year)
+     */
+    getPayoutEarliestDate(year) {
+        const { month, day } = APP_SETTINGS?.payoutEarliestDate || { month: 1, day: 4 };
+        return new Date(year + 1, month - 1, day);
+    },
+
+    /**
+     * Sum each member's verified contributions for payment months in a year
+     * @param {number} year - Savings year
+     * @returns {Promise<object>} { memberId: savings in Rand }
+     */
+    async getYearSavings(year) {
+        const snapshot = await db.collection('submissions')
+            .where('status', '==', 'verified')
+            .get();
+
+        const cents = {};
+
+        snapshot.docs.forEach(doc => {
+            const submission = doc.data();
+            const parsed = Utils.parsePaymentMonth(submission.paymentMonth);
+
+            if (!submission.memberId || !parsed || parsed.year !== year || !this.isContribution(submission)) return;
+
+            cents[submission.memberId] = (cents[submission.memberId] || 0) + Utils.toCents(submission.amount);
+        });
+
+        return Object.fromEntries(
+            Object.entries(cents).map(([memberId, value]) => [memberId, Utils.fromCents(value)])
+        );
+    },
+
+    /**
+     * Get the financial year record
+     * @param {number} year - Year
+     * @returns {Promise<object|null>} Financial year data
+     */
+    async getFinancialYear(year) {
+        try {
+            const doc = await db.collection('financialYears').doc(year.toString()).get();
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        } catch (error) {
+            console.error('Get financial year error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Work out every member's payout for a year without writing anything
+     * @param {number} year - Savings year
+     * @param {string} method - Interest distribution method
+     * @returns {Promise<object>} { year, method, totalPool, payouts, alreadyPaidCount, totals }
+     */
+    async prepareYearEndPayout(year, method = APP_SETTINGS?.interestDistributionMethod || 'equal') {
+        try {
+            const earliest = this.getPayoutEarliestDate(year);
+            if (new Date() < earliest) {
+                const error = new Error(`Payouts for ${year} cannot be made before ${Utils.formatDate(earliest, 'long')}`);
+                error.code = 'payout-too-early';
+                throw error;
+            }
+
+            const settings = await this.getStokvelSettings();
+            if (settings.mode === 'rotating') {
+                throw new Error('This stokvel is in rotating mode: members are paid out each month from the Rotation tab');
+            }
+
+            const financialYear = await this.getFinancialYear(year);
+            if (financialYear?.status === 'closed') {
+                const error = new Error(`${year} has already been paid out and closed`);
+                error.code = 'already-closed';
+                throw error;
+            }
+
+            const [members, savingsByMember, paidSnapshot] = await Promise.all([
+                this.getMembers(),
+                this.getYearSavings(year),
+                db.collection('payouts').where('year', '==', year).get()
+            ]);
+
+            // Balances carried forward from an earlier year count towards this year
+            members.forEach(member => {
+                const opening = this.getOpeningSavings(member, year);
+                if (opening > 0) {
+                    savingsByMember[member.id] = Utils.fromCents(
+                        Utils.toCents(savingsByMember[member.id]) + Utils.toCents(opening)
+                    );
+                }
+            });
+
+            // Exit settlements and rotation payouts are not year-end payouts
+            const paidMemberIds = new Set(paidSnapshot.docs
+                .map(doc => doc.data())
+                .filter(payout => payout.type === 'year_end')
+                .map(payout => payout.memberId));
+            const distribution = await this.calculateInterestDistribution(year, method, savingsByMember);
+
+            const interestByMember = {};
+            distribution.qualifyingMembers.forEach(m => {
+                interestByMember[m.id] = m.interestAmount;
+            });
+
+            const payouts = members
+                .filter(m => m.status !== 'exited' && !paidMemberIds.has(m.id))
+                .map(member => {
+                    const savingsCents = Utils.toCents(savingsByMember[member.id]);
+                    const interestCents = Utils.toCents(interestByMember[member.id]);
+                    const grossCents = savingsCents + interestCents;
+                    const finesCents = Math.min(Utils.toCents(member.outstandingFines), grossCents);
+
+                    return {
+                        memberId: member.id,
+                        name: member.name,
+                        phone: member.phone,
+                        savingsAmount: Utils.fromCents(savingsCents),
+                        interestAmount: Utils.fromCents(interestCents),
+                        finesDeducted: Utils.fromCents(finesCents),
+                        netAmount: Utils.fromCents(grossCents - finesCents)
+                    };
+                })
+                .filter(p => p.savingsAmount > 0 || p.interestAmount > 0);
+
+            const sum = (field) => Utils.fromCents(payouts.reduce((total, p) => total + Utils.toCents(p[field]), 0));
+
+            return {
+                year,
+                method,
+                totalPool: distribution.totalPool,
+                payouts,
+                alreadyPaidCount: paidMemberIds.size,
+                totals: {
+                    savings: sum('savingsAmount'),
+                    interest: sum('interestAmount'),
+                    fines: sum('finesDeducted'),
+                    net: sum('netAmount')
+                }
+            };
+        } catch (error) {
+            console.error('Prepare year-end payout error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Write the reviewed payouts and close the year (see closeFinancialYear)
+     * Payouts are recomputed and must still total what the treasurer reviewed.
+     * Members are written in chunks; a run that stops part-way can be run again
+     * and skips members who were already paid.
+     * @param {number} year - Savings year
+     * @param {string} method - Interest distribution method used in the review
+     * @param {number} reviewedNet - Net total shown to the treasurer
+     * @returns {Promise<object>} Financial year summary
+     */
+    async runYearEndPayout(year, method, reviewedNet) {
+        try {
+            const plan = await this.prepareYearEndPayout(year, method);
+
+            if (Utils.toCents(plan.totals.net) !== Utils.toCents(reviewedNet)) {
+                const error = new Error('Balances changed since the payout was reviewed. Please recalculate.');
+                error.code = 'payout-changed';
+                throw error;
+            }
+
+            const yearRef = db.collection('financialYears').doc(year.toString());
+            await yearRef.set({
+                year,
+                status: 'running',
+                method,
+                startedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                startedBy: Auth.currentUser?.uid || 'admin'
+            }, { merge: true });
+
+            const finesSnapshot = await db.collection('fines')
+                .where('status', '==', 'outstanding')
+                .get();
+            const outstandingFines = {};
+            finesSnapshot.docs.forEach(doc => {
+                const memberId = doc.data().memberId;
+                (outstandingFines[memberId] = outstandingFines[memberId] || []).push(doc);
+            });
+
+            // Firestore batches hold at most 500 writes
+            const maxWrites = 450;
+            let batch = db.batch();
+            let writes = 0;
+
+            for (const payout of plan.payouts) {
+                const fineDocs = payout.finesDeducted > 0 ? (outstandingFines[payout.memberId] || []) : [];
+                const payoutWrites = 4 + fineDocs.length;
+
+                if (writes > 0 && writes + payoutWrites > maxWrites) {
+                    await batch.commit();
+                    batch = db.batch();
+                    writes = 0;
+                }
+
+                this.writePayout(batch, year, payout, fineDocs);
+                writes += payoutWrites;
+            }
+
+            if (writes > 0) {
+                await batch.commit();
+            }
+
+            const summary = await this.closeFinancialYear(year, { method });
+
+            await db.collection('interestPool').doc(year.toString()).set({
+                distributed: true,
+                distributedAmount: plan.totalPool,
+                distributionMethod: method,
+                distributedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+
+            await Auth.logAdminAction('year_end_payout', summary);
+
+            return summary;
+        } catch (error) {
+            console.error('Run year-end payout error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Queue one member's payout on a batch: the payout record, the member
+     * counters, fines settled from the payout and the ledger entries
+     * @param {object} batch - Firestore WriteBatch
+     * @param {number} year - Savings year
+     * @param {object} payout - Payout from prepareYearEndPayout
+     * @param {Array} fineDocs - The member's outstanding fine document snapshots
+     */
+    writePayout(batch, year, payout, fineDocs) {
+        const { BANK, MEMBER_SAVINGS, MEMBER_INTEREST, INTEREST_POOL, FINES_RECEIVABLE } = this.LEDGER_ACCOUNTS;
+        const payoutId = `${year}_${payout.memberId}`;
+        const meta = { memberId: payout.memberId, payoutId, year };
+
+        batch.set(db.collection('payouts').doc(payoutId), {
+            ...payout,
+            year,
+            type: 'year_end',
+            paidAt: firebase.firestore.FieldValue.serverTimestamp(),
+            paidBy: Auth.currentUser?.uid || 'admin'
+        });
+
+        batch.update(db.collection('members').doc(payout.memberId), {
+            totalSavings: firebase.firestore.FieldValue.increment(-payout.savingsAmount),
+            outstandingFines: firebase.firestore.FieldValue.increment(-payout.finesDeducted),
+            lastPayoutYear: year,
+            lastPayoutAmount: payout.netAmount,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        this.settleFines(batch, fineDocs, payout.finesDeducted, {
+            payoutId,
+            settledAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        // Interest moves from the pool to the member, then everything owed is paid from the bank
+        if (payout.interestAmount > 0) {
+            this.postLedgerEntry(batch, this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.INTEREST_ALLOCATION, [
+                { account: INTEREST_POOL, debit: payout.interestAmount },
+                { account: MEMBER_INTEREST, memberId: payout.memberId, credit: payout.interestAmount }
+            ], { ...meta, description: `Interest share for ${year}` }));
+        }
+
+        this.postLedgerEntry(batch, this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.PAYOUT, [
+            { account: MEMBER_SAVINGS, memberId: payout.memberId, debit: payout.savingsAmount },
+            { account: MEMBER_INTEREST, memberId: payout.memberId, debit: payout.interestAmount },
+            { account: FINES_RECEIVABLE, memberId: payout.memberId, credit: payout.finesDeducted },
+            { account: BANK, credit: payout.netAmount }
+        ], { ...meta, description: `Year-end payout for ${year}` }));
+    },
+
+    /**
+     * Mark the fines paid by a deduction, oldest first. Fines covered in full
+     * become 'deducted'; a fine only partly covered stays outstanding with the
+     * part taken so far in deductedAmount.
+     * @param {object} writer - Firestore WriteBatch or Transaction
+     * @param {Array} fineDocs - Outstanding fine document snapshots
+     * @param {number} amount - Amount deducted in Rand
+     * @param {object} fields - Where the deduction came from (e.g. { payoutId })
+     */
+    settleFines(writer, fineDocs, amount, fields) {
+        let remainingCents = Utils.toCents(amount);
+        const oldestFirst = [...fineDocs].sort((a, b) =>
+            (a.data().createdAt?.toMillis?.() || 0) - (b.data().createdAt?.toMillis?.() || 0)
+        );
+
+        for (const doc of oldestFirst) {
+            if (remainingCents <= 0) break;
+
+            const fine = doc.data();
+            const owedCents = Utils.toCents(fine.amount) - Utils.toCents(fine.deductedAmount);
+            if (owedCents <= 0) continue;
+
+            const takenCents = Math.min(owedCents, remainingCents);
+            remainingCents -= takenCents;
+
+            writer.update(doc.ref, {
+                ...fields,
+                deductedAmount: Utils.fromCents(Utils.toCents(fine.deductedAmount) + takenCents),
+                ...(takenCents === owedCents ? { status: 'deducted' } : {}),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        }
+    },
+
+    /**
+     * Get the savings a member carried into a year from the previous year close
+     * @param {object} member - Member data
+     * @param {number} year - Year
+     * @returns {number} Opening savings in Rand
+     */
+    getOpeningSavings(member, year) {
+        return member.openingSavingsYear === year ? (member.openingSavings || 0) : 0;
+    },
+
+    /**
+     * Close a financial year: snapshot every member's totals for the year into
+     * yearSummaries/{year}_{memberId} and carry savings that were not paid out
+     * forward as the member's opening savings for the next year.
+     * Runs at the end of the year-end payout, or on its own to carry everything forward.
+     * @param {number} year - Year to close
+     * @param {object} details - Extra fields for the financialYears record
+     * @returns {Promise<object>} Financial year summary
+     */
+    async closeFinancialYear(year, details = {}) {
+        try {
+            const { month, day } = APP_SETTINGS?.savingsPeriodEnd || { month: 12, day: 31 };
+            const periodEnd = new Date(year, month - 1, day + 1);
+
+            if (new Date() < periodEnd) {
+                throw new Error(`The ${year} savings period has not ended yet`);
+            }
+
+            const yearRef = db.collection('financialYears').doc(year.toString());
+            const financialYear = await this.getFinancialYear(year);
+
+            if (financialYear?.status === 'closed') {
+                const error = new Error(`${year} has already been closed`);
+                error.code = 'already-closed';
+                throw error;
+            }
+
+            const [members, verifiedSnapshot, finesSnapshot, payouts] = await Promise.all([
+                this.getMembers(),
+                db.collection('submissions').where('status', '==', 'verified').get(),
+                db.collection('fines').get(),
+                this.getPayouts(year)
+            ]);
+
+            const inYear = (paymentMonth) => Utils.parsePaymentMonth(paymentMonth)?.year === year;
+            const totals = {};
+            const totalsFor = (memberId) => totals[memberId] ||
+                (totals[memberId] = { contributions: 0, fines: 0, count: 0 });
+
+            verifiedSnapshot.docs.forEach(doc => {
+                const submission = doc.data();
+                if (!submission.memberId || !inYear(submission.paymentMonth) || !this.isContribution(submission)) return;
+
+                const memberTotals = totalsFor(submission.memberId);
+                memberTotals.contributions += Utils.toCents(submission.amount);
+                memberTotals.fines += Utils.toCents(Utils.getNetFine(submission));
+                memberTotals.count += 1;
+            });
+
+            finesSnapshot.docs.forEach(doc => {
+                const fine = doc.data();
+                if (inYear(fine.paymentMonth)) {
+                    totalsFor(fine.memberId).fines += Utils.toCents(fine.amount);
+                }
+            });
+
+            const payoutByMember = {};
+            payouts.filter(payout => payout.type === 'year_end').forEach(payout => {
+                payoutByMember[payout.memberId] = payout;
+            });
+
+            // Savings settled when a member exited are not carried forward either
+            const exitPaidCents = {};
+            payouts.filter(payout => payout.type === 'exit').forEach(payout => {
+                exitPaidCents[payout.memberId] = (exitPaidCents[payout.memberId] || 0) + Utils.toCents(payout.savingsAmount);
+            });
+
+            // Contributions already handed to a rotation recipient are no
+            // longer held for the member, so they are not carried forward
+            const rotationPaidCents = {};
+            payouts.filter(payout => payout.type === 'rotation').forEach(payout => {
+                (payout.contributions || []).forEach(c => {
+                    rotationPaidCents[c.memberId] = (rotationPaidCents[c.memberId] || 0) + Utils.toCents(c.amount);
+                });
+            });
+
+            const summaries = members.map(member => {
+                const memberTotals = totals[member.id] || { contributions: 0, fines: 0, count: 0 };
+                const payout = payoutByMember[member.id];
+                const openingCents = Utils.toCents(this.getOpeningSavings(member, year));
+                const paidOutCents = Utils.toCents(payout?.savingsAmount);
+                const rotationCents = rotationPaidCents[member.id] || 0;
+                const exitCents = exitPaidCents[member.id] || 0;
+
+                return {
+                    year,
+                    memberId: member.id,
+                    name: member.name,
+                    phone: member.phone,
+                    status: member.status || 'active',
+                    openingSavings: Utils.fromCents(openingCents),
+                    contributions: Utils.fromCents(memberTotals.contributions),
+                    fines: Utils.fromCents(memberTotals.fines),
+                    verifiedCount: memberTotals.count,
+                    interest: payout?.interestAmount || 0,
+                    finesDeducted: payout?.finesDeducted || 0,
+                    paidOut: payout?.netAmount || 0,
+                    rotationPaidOut: Utils.fromCents(rotationCents),
+                    exitPaidOut: Utils.fromCents(exitCents),
+                    closingSavings: Utils.fromCents(openingCents + memberTotals.contributions - paidOutCents - rotationCents - exitCents)
+                };
+            });
+
+            // Firestore batches hold at most 500 writes (two per member)
+            for (let i = 0; i < summaries.length; i += 200) {
+                const batch = db.batch();
+
+                summaries.slice(i, i + 200).forEach(summary => {
+                    batch.set(db.collection('yearSummaries').doc(`${year}_${summary.memberId}`), {
+                        ...summary,
+                        closedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+
+                    batch.update(db.collection('members').doc(summary.memberId), {
+                        openingSavings: summary.closingSavings,
+                        openingSavingsYear: year + 1,
+                        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+                });
+
+                await batch.commit();
+            }
+
+            const sum = (field) => Utils.fromCents(summaries.reduce((total, s) => total + Utils.toCents(s[field]), 0));
+
+            const summary = {
+                ...details,
+                year,
+                status: 'closed',
+                memberCount: summaries.length,
+                paidCount: Object.keys(payoutByMember).length,
+                totalContributions: sum('contributions'),
+                totalFines: sum('fines'),
+                totalInterest: sum('interest'),
+                totalFinesDeducted: sum('finesDeducted'),
+                totalPaid: sum('paidOut'),
+                totalRotationPaid: sum('rotationPaidOut'),
+                carriedForward: sum('closingSavings')
+            };
+
+            await yearRef.set({
+                ...summary,
+                closedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                closedBy: Auth.currentUser?.uid || 'admin'
+            }, { merge: true });
+
+            await Auth.logAdminAction('year_closed', summary);
+
+            return summary;
+        } catch (error) {
+            console.error('Close financial year error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get a member's year summaries, most recent first
+     * @param {string} memberId - Member ID
+     * @returns {Promise<Array>} Year summaries
+     */
+    async getMemberYearSummaries(memberId) {
+        try {
+            const snapshot = await db.collection('yearSummaries')
+                .where('memberId', '==', memberId)
+                .get();
+
+            return snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => b.year - a.year);
+        } catch (error) {
+            console.error('Get year summaries error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get payouts for a year
+     * @param {number} year - Savings year
+     * @returns {Promise<Array>} Payout records
+     */
+    async getPayouts(year) {
+        try {
+            const snapshot = await db.collection('payouts')
+                .where('year', '==', year)
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('Get payouts error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * ==========================================
+     * FINANCIAL RULES
+     * ==========================================
+     * Rules are versioned in settings/rules with the month each version takes
+     * effect. Every transaction is judged by the version in force for its
+     * payment month, so a rule change never rewrites earlier months.
+     */
+
+    /**
+     * Whether the rule versions have been loaded into Utils
+     */
+    rulesLoaded: false,
+
+    /**
+     * Load the rule versions into Utils.getRulesForMonth
+     * @returns {Promise<Array>} Versions, oldest first
+     */
+    async loadRules() {
+        try {
+            const doc = await db.collection('settings').doc('rules').get();
+            Utils.setRuleVersions(doc.exists ? doc.data().versions : []);
+            this.rulesLoaded = true;
+
+            return Utils.ruleVersions;
+        } catch (error) {
+            console.error('Load rules error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get the rules in force for a month, loading the versions if needed
+     * @param {string|Date} when - Payment month, month key or date (defaults to now)
+     * @returns {Promise<object>} Rules (see Utils.getRulesForMonth)
+     */
+    async getRules(when = new Date()) {
+        if (!this.rulesLoaded) {
+            await this.loadRules();
+        }
+        return Utils.getRulesForMonth(when);
+    },
+
+    /**
+     * Save a new rules version
+     * Versions can only take effect from next month onwards, so payments
+     * already made this month keep their rules; saving a version for a month
+     * that already has one replaces it
+     * @param {string} effectiveFrom - First month it applies to ('YYYY-MM')
+     * @param {object} values - Rule values (see Utils.RULE_KEYS)
+     * @returns {Promise<object>} The saved version
+     */
+    async saveRuleVersion(effectiveFrom, values) {
+        try {
+            const now = new Date();
+            const currentKey = Utils.getMonthKey(now.getMonth() + 1, now.getFullYear());
+
+            if (!/^\d{4}-\d{2}$/.test(effectiveFrom || '')) {
+                throw new Error('Please choose the month the rules take effect');
+            }
+            if (effectiveFrom <= currentKey) {
+                throw new Error('Rules can only take effect from next month');
+            }
+
+            const version = { effectiveFrom };
+            Utils.RULE_KEYS.forEach(key => {
+                const value = Number(values[key]);
+                if (!Number.isFinite(value) || value < 0) {
+                    throw new Error(`Please enter a valid value for ${key}`);
+                }
+                version[key] = value;
+            });
+
+            if (version.minimumDeposit <= 0) {
+                throw new Error('Minimum deposit must be more than R0');
+            }
+            if (!Number.isInteger(version.graceperiodEndDay) || version.graceperiodEndDay < 1 || version.graceperiodEndDay > 28) {
+                throw new Error('Grace period must end between the 1st and the 28th');
+            }
+            if (!Number.isInteger(version.maxSkippedMonths) || version.maxSkippedMonths < 1) {
+                throw new Error('Suspension limit must be at least 1 month');
+            }
+            if (version.exitPenaltyPercent > 100) {
+                throw new Error('Exit penalty cannot be more than 100%');
+            }
+
+            const rulesRef = db.collection('settings').doc('rules');
+            let before;
+
+            await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(rulesRef);
+                const versions = doc.exists ? (doc.data().versions || []) : [];
+
+                Utils.setRuleVersions(versions);
+                before = Utils.getRulesForMonth(effectiveFrom);
+
+                transaction.set(rulesRef, {
+                    versions: [
+                        ...versions.filter(v => v.effectiveFrom !== effectiveFrom),
+                        {
+                            ...version,
+                            createdAt: new Date(),
+                            createdBy: Auth.currentUser?.uid || 'admin'
+                        }
+                    ],
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                }, { merge: true });
+            });
+
+            await this.loadRules();
+
+            await Auth.logAdminAction('rules_version_saved', {
+                effectiveFrom,
+                before,
+                after: version
+            });
+
+            return version;
+        } catch (error) {
+            console.error('Save rule version error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * ==========================================
+     * ROTATION (ROSCA MODE)
+     * ==========================================
+     * In 'rotating' mode each month's contributions are paid to one member,
+     * in the order saved in settings/stokvel. One payout record per cycle month
+     * (rotation_{YYYY-MM}).
+     */
+
+    /**
+     * Get the stokvel-level settings (mode and rotation order)
+     * @returns {Promise<object>} { mode, rotationOrder, rotationStartMonth }
+     */
+    async getStokvelSettings() {
+        try {
+            const doc = await db.collection('settings').doc('stokvel').get();
+            const data = doc.exists ? doc.data() : {};
+
+            return {
+                mode: data.mode || APP_SETTINGS?.stokvelMode || 'savings',
+                rotationOrder: data.rotationOrder || [],
+                rotationStartMonth: data.rotationStartMonth || null
+            };
+        } catch (error) {
+            console.error('Get stokvel settings error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Save the stokvel mode and rotation order
+     * @param {object} settings - { mode, rotationOrder, rotationStartMonth }
+     */
+    async saveStokvelSettings(settings) {
+        try {
+            if (!['savings', 'rotating'].includes(settings.mode)) {
+                throw new Error(`Unknown stokvel mode: ${settings.mode}`);
+            }
+
+            if (settings.mode === 'rotating') {
+                if (!settings.rotationOrder?.length) {
+                    throw new Error('Add at least one member to the rotation');
+                }
+                if (!Utils.parsePaymentMonth(settings.rotationStartMonth)) {
+                    throw new Error('Please choose the month the rotation starts');
+                }
+            }
+
+            const before = await this.getStokvelSettings();
+
+            await db.collection('settings').doc('stokvel').set({
+                mode: settings.mode,
+                rotationOrder: settings.rotationOrder || [],
+                rotationStartMonth: settings.rotationStartMonth || null,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedBy: Auth.currentUser?.uid || 'admin'
+            }, { merge: true });
+
+            await Auth.logAdminAction('stokvel_settings_updated', {
+                before,
+                after: {
+                    mode: settings.mode,
+                    rotationOrder: settings.rotationOrder || [],
+                    rotationStartMonth: settings.rotationStartMonth || null
+                }
+            });
+        } catch (error) {
+            console.error('Save stokvel settings error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Work out the rotation cycle that contains a month
+     * Cycles repeat the saved order back to back from the start month
+     * @param {object} settings - Stokvel settings
+     * @param {Array} members - Members (for names)
+     * @param {Date} date - Any date in the month of interest (defaults to now)
+     * @returns {object|null} { cycle, months: [{ paymentMonth, monthKey, memberId, name, position }] }
+     */
+    buildRotationSchedule(settings, members, date = new Date()) {
+        const start = Utils.parsePaymentMonth(settings.rotationStartMonth);
+        const order = settings.rotationOrder || [];
+
+        if (settings.mode !== 'rotating' || !start || order.length === 0) {
+            return null;
+        }
+
+        const monthsSinceStart = (date.getFullYear() - start.year) * 12 + date.getMonth() + 1 - start.month;
+        const cycle = Math.max(0, Math.floor(monthsSinceStart / order.length));
+        const names = Object.fromEntries(members.map(m => [m.id, m.name]));
+
+        const months = order.map((memberId, index) => {
+            const monthDate = new Date(start.year, start.month - 1 + cycle * order.length + index, 1);
+            const month = monthDate.getMonth() + 1;
+
+            return {
+                paymentMonth: `${Utils.getMonthName(month)} ${monthDate.getFullYear()}`,
+                monthKey: Utils.getMonthKey(month, monthDate.getFullYear()),
+                memberId,
+                name: names[memberId] || 'Unknown member',
+                position: index + 1
+            };
+        });
+
+        return { cycle: cycle + 1, months };
+    },
+
+    /**
+     * Get the current rotation cycle with expected and collected totals
+     * and any payouts already recorded
+     * @returns {Promise<object|null>} Schedule from buildRotationSchedule with totals per month
+     */
+    async getRotationStatus() {
+        try {
+            const [settings, members, submissions] = await Promise.all([
+                this.getStokvelSettings(),
+                this.getMembers(),
+                this.getVerifiedSubmissions()
+            ]);
+
+            const schedule = this.buildRotationSchedule(settings, members);
+            if (!schedule) return null;
+
+            const payoutDocs = await Promise.all(schedule.months.map(m =>
+                db.collection('payouts').doc(`rotation_${m.monthKey}`).get()
+            ));
+
+            await this.getRules();
+
+            schedule.months = schedule.months.map((month, index) => {
+                const expectedCents = Utils.toCents(Utils.getRulesForMonth(month.monthKey).minimumDeposit) *
+                    settings.rotationOrder.length;
+                const collectedCents = submissions
+                    .filter(s => s.paymentMonth === month.paymentMonth && this.isContribution(s))
+                    .reduce((sum, s) => sum + Utils.toCents(s.amount), 0);
+
+                return {
+                    ...month,
+                    expected: Utils.fromCents(expectedCents),
+                    collected: Utils.fromCents(collectedCents),
+                    payout: payoutDocs[index].exists ? payoutDocs[index].data() : null
+                };
+            });
+
+            return schedule;
+        } catch (error) {
+            console.error('Get rotation status error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Pay a cycle month's verified contributions to that month's recipient
+     * The contributors' savings are reduced by what they paid in
+     * @param {string} paymentMonth - Cycle month (e.g. 'March 2025')
+     * @returns {Promise<object>} Payout record
+     */
+    async recordRotationPayout(paymentMonth) {
+        try {
+            const parsed = Utils.parsePaymentMonth(paymentMonth);
+            if (!parsed) {
+                throw new Error('Invalid month');
+            }
+
+            const [settings, members, submissions, rules] = await Promise.all([
+                this.getStokvelSettings(),
+                this.getMembers(),
+                this.getVerifiedSubmissions({ month: paymentMonth }),
+                this.getRules(paymentMonth)
+            ]);
+
+            const schedule = this.buildRotationSchedule(settings, members, new Date(parsed.year, parsed.month - 1, 1));
+            const slot = schedule?.months.find(m => m.paymentMonth === paymentMonth);
+
+            if (!slot) {
+                throw new Error(`${paymentMonth} is not part of the rotation`);
+            }
+
+            const contributionCents = {};
+            submissions
+                .filter(s => s.memberId && this.isContribution(s))
+                .forEach(s => {
+                    contributionCents[s.memberId] = (contributionCents[s.memberId] || 0) + Utils.toCents(s.amount);
+                });
+
+            const contributions = Object.entries(contributionCents).map(([memberId, cents]) => ({
+                memberId,
+                amount: Utils.fromCents(cents)
+            }));
+            const totalCents = Object.values(contributionCents).reduce((sum, cents) => sum + cents, 0);
+
+            if (totalCents === 0) {
+                throw new Error(`No verified contributions for ${paymentMonth} yet`);
+            }
+
+            const payout = {
+                type: 'rotation',
+                memberId: slot.memberId,
+                name: slot.name,
+                paymentMonth,
+                cycle: schedule.cycle,
+                position: slot.position,
+                year: parsed.year,
+                netAmount: Utils.fromCents(totalCents),
+                expectedAmount: Utils.fromCents(Utils.toCents(rules.minimumDeposit) * settings.rotationOrder.length),
+                contributions
+            };
+
+            const payoutRef = db.collection('payouts').doc(`rotation_${slot.monthKey}`);
+
+            await db.runTransaction(async (transaction) => {
+                const existing = await transaction.get(payoutRef);
+                if (existing.exists) {
+                    const error = new Error(`${paymentMonth} has already been paid out`);
+                    error.code = 'already-paid';
+                    throw error;
+                }
+
+                transaction.set(payoutRef, {
+                    ...payout,
+                    paidAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    paidBy: Auth.currentUser?.uid || 'admin'
+                });
+
+                contributions.forEach(c => {
+                    transaction.update(db.collection('members').doc(c.memberId), {
+                        totalSavings: firebase.firestore.FieldValue.increment(-c.amount),
+                        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+                });
+
+                transaction.update(db.collection('members').doc(slot.memberId), {
+                    lastRotationPayout: paymentMonth,
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                this.postLedgerEntry(transaction, this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.PAYOUT, [
+                    ...contributions.map(c => ({ account: this.LEDGER_ACCOUNTS.MEMBER_SAVINGS, memberId: c.memberId, debit: c.amount })),
+                    { account: this.LEDGER_ACCOUNTS.BANK, credit: payout.netAmount }
+                ], {
+                    memberId: slot.memberId,
+                    payoutId: payoutRef.id,
+                    paymentMonth,
+                    description: `Rotation payout for ${paymentMonth} to ${slot.name}`
+                }));
+            });
+
+            await Auth.logAdminAction('rotation_payout', {
+                payoutId: payoutRef.id,
+                memberId: slot.memberId,
+                memberName: slot.name,
+                paymentMonth,
+                amount: payout.netAmount
+            });
+
+            return payout;
+        } catch (error) {
+            console.error('Record rotation payout error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * ==========================================
+     * LOANS
+     * ==========================================
+     * Idle pool money lent to members at flat interest. Repayments come in
+     * through the POP flow (paymentType 'loan_repayment') and are applied to
+     * interest first; the interest goes to the year's interest pool.
+     */
+
+    /**
+     * Whether a submission is a monthly contribution (not a loan repayment)
+     * @param {object} submission - Submission data
+     * @returns {boolean} Whether it counts towards savings
+     */
+    isContribution(submission) {
+        return (submission.paymentType || 'contribution') === 'contribution';
+    },
+
+    /**
+     * Counter document holding the loan principal still out (settings/loanPool)
+     * @returns {object} Document reference
+     */
+    getLoanPoolRef() {
+        return db.collection('settings').doc('loanPool');
+    },
+
+    /**
+     * Move the outstanding loan principal counter inside a transaction or batch
+     * @param {object} writer - Firestore Transaction or WriteBatch
+     * @param {number} amount - Change in Rand (negative when principal is repaid)
+     */
+    adjustLoanPool(writer, amount) {
+        writer.set(this.getLoanPoolRef(), {
+            outstandingPrincipal: firebase.firestore.FieldValue.increment(amount),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    },
+
+    /**
+     * Work out how much more can be lent out
+     * At most loanPoolLimitPercent of the fund (savings plus interest pool)
+     * may be out on loan at once
+     * @returns {Promise<object>} { fund, limit, outstanding, available }
+     */
+    async getLoanPoolAvailability() {
+        try {
+            const [savings, pool, loansSnapshot, poolDoc] = await Promise.all([
+                this.getStokvelTotal(),
+                this.getInterestPool(new Date().getFullYear()),
+                db.collection('loans').where('status', '==', 'active').get(),
+                this.getLoanPoolRef().get()
+            ]);
+
+            const fundCents = Utils.toCents(savings) + Utils.toCents(this.getPoolTotal(pool));
+            const limitCents = Math.floor(fundCents * (APP_SETTINGS?.loanPoolLimitPercent ?? 50) / 100);
+            const outstandingCents = poolDoc.exists && poolDoc.data().seeded
+                ? Utils.toCents(poolDoc.data().outstandingPrincipal)
+                : loansSnapshot.docs.reduce((sum, doc) => {
+                    const loan = doc.data();
+                    return sum + Utils.toCents(loan.principal) - Utils.toCents(loan.principalRepaid);
+                }, 0);
+
+            return {
+                fund: Utils.fromCents(fundCents),
+                limit: Utils.fromCents(limitCents),
+                outstanding: Utils.fromCents(outstandingCents),
+                available: Utils.fromCents(Math.max(0, limitCents - outstandingCents))
+            };
+        } catch (error) {
+            console.error('Get loan pool availability error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Build a flat-interest repayment schedule
+     * Principal and interest are each split evenly to the cent across the term
+     * @param {number} principal - Amount lent
+     * @param {number} interestRate - Monthly interest rate (percent of principal)
+     * @param {number} termMonths - Number of monthly instalments
+     * @param {string} firstMonth - First instalment month (e.g. 'March 2025')
+     * @returns {object} { totalInterest, totalRepayable, schedule }
+     */
+    buildLoanSchedule(principal, interestRate, termMonths, firstMonth) {
+        const principalCents = Utils.toCents(principal);
+        const interestCents = Math.round(principalCents * interestRate / 100 * termMonths);
+        const first = Utils.parsePaymentMonth(firstMonth);
+
+        if (!first) {
+            throw new Error('Please choose the first repayment month');
+        }
+
+        const shares = Array.from({ length: termMonths }, (_, i) => ({ id: String(i).padStart(3, '0'), weight: 1 }));
+        const principalShares = Utils.allocateCents(principalCents, shares);
+        const interestShares = Utils.allocateCents(interestCents, shares);
+
+        const schedule = shares.map((share, i) => {
+            const date = new Date(first.year, first.month - 1 + i, 1);
+            return {
+                month: `${Utils.getMonthName(date.getMonth() + 1)} ${date.getFullYear()}`,
+                principal: Utils.fromCents(principalShares[i].cents),
+                interest: Utils.fromCents(interestShares[i].cents),
+                amount: Utils.fromCents(principalShares[i].cents + interestShares[i].cents),
+                paid: 0
+            };
+        });
+
+        return {
+            totalInterest: Utils.fromCents(interestCents),
+            totalRepayable: Utils.fromCents(principalCents + interestCents),
+            schedule
+        };
+    },
+
+    /**
+     * Capture a loan application
+     * @param {object} application - { memberId, principal, termMonths, firstRepaymentMonth, purpose }
+     * @returns {Promise<string>} Loan ID
+     */
+    async createLoanApplication(application) {
+        try {
+            const member = await this.getMember(application.memberId);
+            const principal = Utils.fromCents(Utils.toCents(application.principal));
+            const termMonths = parseInt(application.termMonths);
+            const maxTerm = APP_SETTINGS?.loanMaxTermMonths || 6;
+
+            if (!member) {
+                throw new Error('Member not found');
+            }
+
+            if (member.status !== 'active') {
+                throw new Error(`${member.name} is ${member.status} and cannot take a loan`);
+            }
+
+            if (!(principal > 0)) {
+                throw new Error('Loan amount must be more than zero');
+            }
+
+            if (!(termMonths >= 1 && termMonths <= maxTerm)) {
+                throw new Error(`Term must be between 1 and ${maxTerm} months`);
+            }
+
+            const interestRate = APP_SETTINGS?.loanInterestRate ?? 5;
+            const plan = this.buildLoanSchedule(principal, interestRate, termMonths, application.firstRepaymentMonth);
+
+            const docRef = await db.collection('loans').add({
+                memberId: member.id,
+                name: member.name,
+                phone: member.phone,
+                principal,
+                interestRate,
+                termMonths,
+                firstRepaymentMonth: application.firstRepaymentMonth,
+                purpose: application.purpose || '',
+                ...plan,
+                principalRepaid: 0,
+                interestRepaid: 0,
+                balance: plan.totalRepayable,
+                status: 'applied',
+                appliedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            await Auth.logAdminAction('loan_applied', {
+                loanId: docRef.id,
+                memberId: member.id,
+                memberName: member.name,
+                principal,
+                termMonths
+            });
+
+            return docRef.id;
+        } catch (error) {
+            console.error('Create loan application error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Approve a loan application against the available pool and disburse it
+     * @param {string} loanId - Loan ID
+     */
+    async approveLoan(loanId) {
+        try {
+            const loanRef = db.collection('loans').doc(loanId);
+            const poolRef = this.getLoanPoolRef();
+            const availability = await this.getLoanPoolAvailability();
+
+            const { loan, availableCents } = await db.runTransaction(async (transaction) => {
+                const [doc, poolDoc] = await Promise.all([
+                    transaction.get(loanRef),
+                    transaction.get(poolRef)
+                ]);
+
+                if (!doc.exists) {
+                    throw new Error('Loan not found');
+                }
+
+                const current = { id: doc.id, ...doc.data() };
+
+                if (current.status !== 'applied') {
+                    throw new Error(`This loan is already ${current.status}`);
+                }
+
+                // The counter is read and moved in this transaction, so two approvals
+                // running at once cannot both lend the same headroom (the first
+                // approval seeds it from the active loans)
+                const outstandingCents = poolDoc.exists && poolDoc.data().seeded
+                    ? Utils.toCents(poolDoc.data().outstandingPrincipal)
+                    : Utils.toCents(availability.outstanding);
+                const available = Math.max(0, Utils.toCents(availability.limit) - outstandingCents);
+
+                if (Utils.toCents(current.principal) > available) {
+                    const error = new Error(`Only ${Utils.formatCurrency(Utils.fromCents(available))} of the pool is available to lend`);
+                    error.code = 'pool-limit';
+                    throw error;
+                }
+
+                transaction.set(poolRef, {
+                    outstandingPrincipal: Utils.fromCents(outstandingCents + Utils.toCents(current.principal)),
+                    seeded: true,
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                transaction.update(loanRef, {
+                    status: 'active',
+                    approvedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    approvedBy: Auth.currentUser?.uid || 'admin',
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                transaction.update(db.collection('members').doc(current.memberId), {
+                    loanBalance: firebase.firestore.FieldValue.increment(current.totalRepayable),
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                this.postLedgerEntry(transaction, this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.LOAN_DISBURSEMENT, [
+                    { account: this.LEDGER_ACCOUNTS.LOANS_RECEIVABLE, memberId: current.memberId, debit: current.principal },
+                    { account: this.LEDGER_ACCOUNTS.BANK, credit: current.principal }
+                ], {
+                    memberId: current.memberId,
+                    loanId,
+                    description: `Loan to ${current.name}`
+                }));
+
+                return { loan: current, availableCents: available };
+            });
+
+            await Auth.logAdminAction('loan_approved', {
+                loanId,
+                memberId: loan.memberId,
+                memberName: loan.name,
+                principal: loan.principal,
+                availableBefore: Utils.fromCents(availableCents)
+            });
+        } catch (error) {
+            console.error('Approve loan error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Decline a loan application
+     * @param {string} loanId - Loan ID
+     * @param {string} reason - Reason for declining
+     */
+    async declineLoan(loanId, reason = '') {
+        try {
+            const loanRef = db.collection('loans').doc(loanId);
+
+            const loan = await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(loanRef);
+
+                if (!doc.exists) {
+                    throw new Error('Loan not found');
+                }
+
+                const current = { id: doc.id, ...doc.data() };
+
+                if (current.status !== 'applied') {
+                    throw new Error(`This loan is already ${current.status}`);
+                }
+
+                transaction.update(loanRef, {
+                    status: 'declined',
+                    declineReason: reason,
+                    declinedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    declinedBy: Auth.currentUser?.uid || 'admin',
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                return current;
+            });
+
+            await Auth.logAdminAction('loan_declined', {
+                loanId,
+                memberId: loan.memberId,
+                memberName: loan.name,
+                reason
+            });
+        } catch (error) {
+            console.error('Decline loan error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Apply a loan repayment submission inside the approval transaction
+     * Interest is paid off first, then principal; instalments are marked paid in order
+     * @param {object} transaction - Firestore Transaction
+     * @param {object} submission - Submission data (paymentType 'loan_repayment', loanId)
+     * @param {string} memberId - Linked member ID
+     * @returns {Promise<object>} Allocation { loanId, principal, interest, poolYear }
+     */
+    async applyLoanRepayment(transaction, submission, memberId) {
+        const loanRef = db.collection('loans').doc(submission.loanId || 'missing');
+        const loanDoc = await transaction.get(loanRef);
+
+        if (!loanDoc.exists) {
+            throw new Error('The loan for this repayment was not found');
+        }
+
+        const loan = loanDoc.data();
+
+        if (loan.memberId !== memberId) {
+            const error = new Error('This repayment is for a loan that belongs to another member');
+            error.code = 'loan-mismatch';
+            throw error;
+        }
+
+        if (loan.status !== 'active') {
+            throw new Error(`This loan is ${loan.status}, not active`);
+        }
+
+        const amountCents = Utils.toCents(submission.amount);
+        const interestDueCents = Utils.toCents(loan.totalInterest) - Utils.toCents(loan.interestRepaid);
+        const principalDueCents = Utils.toCents(loan.principal) - Utils.toCents(loan.principalRepaid);
+
+        if (amountCents > interestDueCents + principalDueCents) {
+            throw new Error(`Repayment is more than the loan balance of ${Utils.formatCurrency(loan.balance)}`);
+        }
+
+        const interestCents = Math.min(amountCents, interestDueCents);
+        const principalCents = amountCents - interestCents;
+        const balanceCents = interestDueCents + principalDueCents - amountCents;
+
+        // Mark instalments paid in order
+        let remaining = amountCents;
+        const schedule = loan.schedule.map(instalment => {
+            const dueCents = Utils.toCents(instalment.amount) - Utils.toCents(instalment.paid);
+            const payCents = Math.min(dueCents, remaining);
+            remaining -= payCents;
+            return { ...instalment, paid: Utils.fromCents(Utils.toCents(instalment.paid) + payCents) };
+        });
+
+        transaction.update(loanRef, {
+            schedule,
+            interestRepaid: Utils.fromCents(Utils.toCents(loan.interestRepaid) + interestCents),
+            principalRepaid: Utils.fromCents(Utils.toCents(loan.principalRepaid) + principalCents),
+            balance: Utils.fromCents(balanceCents),
+            status: balanceCents === 0 ? 'repaid' : 'active',
+            lastRepaymentAt: firebase.firestore.FieldValue.serverTimestamp(),
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        if (principalCents > 0) {
+            this.adjustLoanPool(transaction, -Utils.fromCents(principalCents));
+        }
+
+        if (memberId) {
+            transaction.update(db.collection('members').doc(memberId), {
+                loanBalance: firebase.firestore.FieldValue.increment(-Utils.fromCents(amountCents)),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        const poolYear = new Date().getFullYear();
+
+        if (interestCents > 0) {
+            transaction.set(db.collection('interestPool').doc(poolYear.toString()), {
+                loanInterest: firebase.firestore.FieldValue.increment(Utils.fromCents(interestCents)),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        }
+
+        this.postLedgerEntry(transaction, this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.LOAN_REPAYMENT, [
+            { account: this.LEDGER_ACCOUNTS.BANK, debit: submission.amount },
+            { account: this.LEDGER_ACCOUNTS.LOANS_RECEIVABLE, memberId: loan.memberId, credit: Utils.fromCents(principalCents) },
+            { account: this.LEDGER_ACCOUNTS.INTEREST_POOL, credit: Utils.fromCents(interestCents) }
+        ], {
+            memberId: loan.memberId,
+            submissionId: submission.id,
+            reference: submission.reference,
+            loanId: submission.loanId,
+            description: `Loan repayment for ${submission.paymentMonth}`
+        }));
+
+        return {
+            loanId: submission.loanId,
+            principal: Utils.fromCents(principalCents),
+            interest: Utils.fromCents(interestCents),
+            poolYear
+        };
+    },
+
+    /**
+     * Take a reversed repayment back off its loan
+     * Instalments are unpaid from the latest one backwards
+     * @param {object} transaction - Firestore transaction (loan already read)
+     * @param {object} submission - Reversed loan repayment submission
+     * @param {object} loanDoc - Loan document snapshot
+     */
+    undoLoanRepayment(transaction, submission, loanDoc) {
+        const loan = loanDoc.data();
+        const { principal, interest, poolYear } = submission.loanAllocation;
+        const amountCents = Utils.toCents(principal) + Utils.toCents(interest);
+
+        let remaining = amountCents;
+        const schedule = [...loan.schedule].reverse().map(instalment => {
+            const unpayCents = Math.min(Utils.toCents(instalment.paid), remaining);
+            remaining -= unpayCents;
+            return { ...instalment, paid: Utils.fromCents(Utils.toCents(instalment.paid) - unpayCents) };
+        }).reverse();
+
+        transaction.update(loanDoc.ref, {
+            schedule,
+            interestRepaid: Utils.fromCents(Utils.toCents(loan.interestRepaid) - Utils.toCents(interest)),
+            principalRepaid: Utils.fromCents(Utils.toCents(loan.principalRepaid) - Utils.toCents(principal)),
+            balance: Utils.fromCents(Utils.toCents(loan.balance) + amountCents),
+            status: 'active',
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        if (Utils.toCents(principal) > 0) {
+            this.adjustLoanPool(transaction, principal);
+        }
+
+        if (submission.memberId) {
+            transaction.update(db.collection('members').doc(submission.memberId), {
+                loanBalance: firebase.firestore.FieldValue.increment(Utils.fromCents(amountCents)),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        if (Utils.toCents(interest) > 0) {
+            transaction.set(db.collection('interestPool').doc(poolYear.toString()), {
+                loanInterest: firebase.firestore.FieldValue.increment(-interest),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        }
+    },
+
+    /**
+     * Get loans, most recent first
+     * @param {object} filters - Optional filters (status, phone)
+     * @returns {Promise<Array>} Loans
+     */
+    async getLoans(filters = {}) {
+        try {
+            let query = db.collection('loans');
+
+            if (filters.status) {
+                query = query.where('status', '==', filters.status);
+            }
+
+            if (filters.phone) {
+                query = query.where('phone', '==', filters.phone.replace(/[\s-]/g, ''));
+            }
+
+            const snapshot = await query.get();
+
+            return snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.appliedAt?.toMillis?.() || 0) - (a.appliedAt?.toMillis?.() || 0));
+        } catch (error) {
+            console.error('Get loans error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * ==========================================
+     * FINE APPEALS
+     * ==========================================
+     * A member can appeal the late fine on a submission once
+     * (appeals/{submissionId}). Waiving all or part of it reverses the
+     * member's totalFines and the interest pool increment.
+     */
+
+    /**
+     * Lodge an appeal against a submission's late fine
+     * @param {string} submissionId - Fined submission
+     * @param {string} phone - Member phone (must match the submission)
+     * @param {string} reason - Why the fine should be waived
+     */
+    async lodgeAppeal(submissionId, phone, reason) {
+        try {
+            if (!reason?.trim()) {
+                throw new Error('Please explain why the fine should be waived');
+            }
+            if (reason.trim().length > 500) {
+                throw new Error('Please keep the reason under 500 characters');
+            }
+
+            const doc = await db.collection('submissions').doc(submissionId).get();
+            const submission = doc.exists ? { id: doc.id, ...doc.data() } : null;
+
+            if (!submission || submission.phone !== phone.replace(/[\s-]/g, '')) {
+                throw new Error('Submission not found');
+            }
+            if (!(Utils.getNetFine(submission) > 0)) {
+                throw new Error('This payment has no fine to appeal');
+            }
+            if (!['pending', 'verified'].includes(submission.status)) {
+                throw new Error(`A ${submission.status} payment cannot be appealed`);
+            }
+
+            const appealRef = db.collection('appeals').doc(submissionId);
+
+            if ((await appealRef.get()).exists) {
+                const error = new Error('This fine has already been appealed');
+                error.code = 'already-appealed';
+                throw error;
+            }
+
+            await appealRef.set({
+                submissionId,
+                reference: submission.reference,
+                memberId: submission.memberId || null,
+                name: submission.name,
+                phone: submission.phone,
+                paymentMonth: submission.paymentMonth,
+                fineAmount: Utils.getNetFine(submission),
+                reason: reason.trim(),
+                status: 'pending',
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Lodge appeal error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get appeals with optional filters
+     * @param {object} filters - { status, phone }
+     * @returns {Promise<Array>} Appeals, newest first
+     */
+    async getAppeals(filters = {}) {
+        try {
+            let query = db.collection('appeals');
+
+            if (filters.status) {
+                query = query.where('status', '==', filters.status);
+            }
+
+            if (filters.phone) {
+                query = query.where('phone', '==', filters.phone.replace(/[\s-]/g, ''));
+            }
+
+            const snapshot = await query.get();
+
+            return snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+        } catch (error) {
+            console.error('Get appeals error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Decide an appeal: waive all or part of the fine, or decline it
+     * Waiving a verified submission's fine takes it off the member's totalFines
+     * and the interest pool it was added to, and refunds it from the bank
+     * @param {string} appealId - Appeal ID (the submission ID)
+     * @param {number} waiveAmount - Amount to waive (0 declines the appeal)
+     * @param {string} reason - Decision reason (kept on the appeal and in the audit log)
+     * @returns {Promise<object>} { status, waivedAmount }
+     */
+    async decideAppeal(appealId, waiveAmount, reason) {
+        try {
+            if (!reason?.trim()) {
+                throw new Error('Please give a reason for the decision');
+            }
+
+            const waiveCents = Utils.toCents(waiveAmount);
+            if (!(waiveCents >= 0)) {
+                throw new Error('Please enter a valid amount to waive');
+            }
+
+            const appealRef = db.collection('appeals').doc(appealId);
+            const adminId = Auth.currentUser?.uid || 'admin';
+            const status = waiveCents > 0 ? 'waived' : 'declined';
+
+            const appeal = await db.runTransaction(async (transaction) => {
+                const appealDoc = await transaction.get(appealRef);
+                if (!appealDoc.exists) {
+                    throw new Error('Appeal not found');
+                }
+
+                const current = { id: appealDoc.id, ...appealDoc.data() };
+                if (current.status !== 'pending') {
+                    const error = new Error(`This appeal was already ${current.status}`);
+                    error.code = 'already-decided';
+                    throw error;
+                }
+
+                const submissionRef = db.collection('submissions').doc(current.submissionId);
+                const submissionDoc = await transaction.get(submissionRef);
+                const submission = { id: submissionDoc.id, ...submissionDoc.data() };
+                const fineCents = Utils.toCents(Utils.getNetFine(submission));
+
+                if (waiveCents > fineCents) {
+                    throw new Error(`Only ${Utils.formatCurrency(Utils.fromCents(fineCents))} of the fine is left to waive`);
+                }
+
+                if (waiveCents > 0) {
+                    const waived = Utils.fromCents(waiveCents);
+
+                    // A fine is only counted once the submission is approved
+                    if (submission.status === 'verified') {
+                        const poolYear = submission.finePoolYear ||
+                            (submission.verifiedAt?.toDate?.() || new Date()).getFullYear();
+                        const yearDoc = await transaction.get(db.collection('financialYears').doc(poolYear.toString()));
+
+                        if (yearDoc.exists && yearDoc.data().status === 'closed') {
+                            throw new Error(`${poolYear} has been closed; its fines can no longer be waived`);
+                        }
+
+                        if (submission.memberId) {
+                            transaction.update(db.collection('members').doc(submission.memberId), {
+                                totalFines: firebase.firestore.FieldValue.increment(-waived),
+                                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                            });
+                        }
+
+                        transaction.set(db.collection('interestPool').doc(poolYear.toString()), {
+                            totalFines: firebase.firestore.FieldValue.increment(-waived),
+                            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                        }, { merge: true });
+
+                        this.postLedgerEntry(transaction, this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.FINE_WAIVER, [
+                            { account: this.LEDGER_ACCOUNTS.INTEREST_POOL, memberId: submission.memberId, debit: waived },
+                            { account: this.LEDGER_ACCOUNTS.BANK, credit: waived }
+                        ], {
+                            memberId: submission.memberId,
+                            submissionId: submission.id,
+                            reference: submission.reference,
+                            paymentMonth: submission.paymentMonth || null,
+                            appealId,
+                            description: `Late fine waived for ${submission.paymentMonth}`
+                        }));
+                    }
+
+                    transaction.update(submissionRef, {
+                        fineWaivedAmount: Utils.fromCents(Utils.toCents(submission.fineWaivedAmount) + waiveCents),
+                        fineWaiverReason: reason.trim(),
+                        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+
+                transaction.update(appealRef, {
+                    status,
+                    waivedAmount: Utils.fromCents(waiveCents),
+                    decisionReason: reason.trim(),
+                    decidedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    decidedBy: adminId
+                });
+
+                return current;
+            });
+
+            await Auth.logAdminAction(status === 'waived' ? 'fine_waived' : 'appeal_declined', {
+                appealId,
+                submissionId: appeal.submissionId,
+                reference: appeal.reference,
+                memberName: appeal.name,
+                amount: Utils.fromCents(waiveCents),
+                reason: reason.trim()
+            });
+
+            return { status, waivedAmount: Utils.fromCents(waiveCents) };
+        } catch (error) {
+            console.error('Decide appeal error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * ==========================================
+     * MEMBER EXIT
+     * ==========================================
+     * A member leaving mid-year is paid their savings less the exit penalty
+     * (a percentage of savings, set in the rules) and any outstanding fines.
+     * The penalty goes to the interest pool; the member forfeits this year's
+     * interest. One settlement per member (payouts/exit_{memberId}).
+     */
+
+    /**
+     * Check a phone number may still submit payments
+     * @param {string} phone - Member phone
+     */
+    async checkCanSubmit(phone) {
+        const snapshot = await db.collection('members')
+            .where('phone', '==', phone.replace(/[\s-]/g, ''))
+            .limit(1)
+            .get();
+
+        if (!snapshot.empty && snapshot.docs[0].data().status === 'exited') {
+            const error = new Error('This number belongs to a member who has left the stokvel. Please contact the treasurer.');
+            error.code = 'member-exited';
+            throw error;
+        }
+    },
+
+    /**
+     * Work out a member's exit settlement
+     * @param {object} member - Member data
+     * @returns {object} { memberId, name, phone, year, savingsAmount, penaltyPercent, penaltyAmount, finesDeducted, netAmount, rulesEffectiveFrom }
+     */
+    calculateExitSettlement(member) {
+        const rules = Utils.getRulesForMonth();
+        const savingsCents = Math.max(0, Utils.toCents(member.totalSavings));
+        const penaltyCents = Math.floor(savingsCents * rules.exitPenaltyPercent / 100);
+        const finesCents = Math.min(Math.max(0, Utils.toCents(member.outstandingFines)), savingsCents - penaltyCents);
+
+        return {
+            memberId: member.id,
+            name: member.name,
+            phone: member.phone,
+            year: new Date().getFullYear(),
+            savingsAmount: Utils.fromCents(savingsCents),
+            penaltyPercent: rules.exitPenaltyPercent,
+            penaltyAmount: Utils.fromCents(penaltyCents),
+            finesDeducted: Utils.fromCents(finesCents),
+            netAmount: Utils.fromCents(savingsCents - penaltyCents - finesCents),
+            rulesEffectiveFrom: rules.effectiveFrom
+        };
+    },
+
+    /**
+     * Prepare a member's exit settlement for review without writing anything
+     * @param {string} memberId - Member ID
+     * @returns {Promise<object>} Settlement from calculateExitSettlement
+     */
+    async prepareExitSettlement(memberId) {
+        try {
+            await this.getRules();
+
+            const doc = await db.collection('members').doc(memberId).get();
+            if (!doc.exists) {
+                throw new Error('Member not found');
+            }
+
+            const member = { id: doc.id, ...doc.data() };
+            this.assertCanExit(member);
+
+            return this.calculateExitSettlement(member);
+        } catch (error) {
+            console.error('Prepare exit settlement error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Refuse an exit the stokvel cannot settle yet
+     * @param {object} member - Member data
+     */
+    assertCanExit(member) {
+        if (member.status === 'exited') {
+            const error = new Error(`${member.name} has already left the stokvel`);
+            error.code = 'already-exited';
+            throw error;
+        }
+
+        if (Utils.toCents(member.loanBalance) > 0) {
+            throw new Error(`${member.name} has ${Utils.formatCurrency(member.loanBalance)} outstanding on a loan. Settle the loan first.`);
+        }
+    },
+
+    /**
+     * Settle a member's exit: record the settlement payout and mark them exited
+     * @param {string} memberId - Member ID
+     * @param {string} reason - Why the member is leaving
+     * @param {number} reviewedNet - Net amount the admin reviewed (must still match)
+     * @returns {Promise<object>} Settlement payout record
+     */
+    async exitMember(memberId, reason, reviewedNet) {
+        try {
+            if (!reason?.trim()) {
+                throw new Error('Please record why the member is leaving');
+            }
+
+            await this.getRules();
+
+            const memberRef = db.collection('members').doc(memberId);
+            const payoutRef = db.collection('payouts').doc(`exit_${memberId}`);
+
+            // Outstanding fines are settled from the payout
+            const finesSnapshot = await db.collection('fines')
+                .where('memberId', '==', memberId)
+                .where('status', '==', 'outstanding')
+                .get();
+
+            const settlement = await db.runTransaction(async (transaction) => {
+                const [memberDoc, payoutDoc] = await Promise.all([
+                    transaction.get(memberRef),
+                    transaction.get(payoutRef)
+                ]);
+
+                if (!memberDoc.exists) {
+                    throw new Error('Member not found');
+                }
+
+                const member = { id: memberDoc.id, ...memberDoc.data() };
+                this.assertCanExit(member);
+
+                if (payoutDoc.exists) {
+                    const error = new Error(`${member.name} has already been settled`);
+                    error.code = 'already-paid';
+                    throw error;
+                }
+
+                const result = this.calculateExitSettlement(member);
+
+                if (Utils.toCents(result.netAmount) !== Utils.toCents(reviewedNet)) {
+                    const error = new Error('Balances changed since the settlement was reviewed. Please recalculate.');
+                    error.code = 'payout-changed';
+                    throw error;
+                }
+
+                transaction.set(payoutRef, {
+                    ...result,
+                    type: 'exit',
+                    reason: reason.trim(),
+                    paidAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    paidBy: Auth.currentUser?.uid || 'admin'
+                });
+
+                transaction.update(memberRef, {
+                    totalSavings: firebase.firestore.FieldValue.increment(-result.savingsAmount),
+                    outstandingFines: firebase.firestore.FieldValue.increment(-result.finesDeducted),
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                this.writeStatusChange(transaction, member, 'exited', reason.trim(), {
+                    exitedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    exitPayoutId: payoutRef.id
+                });
+
+                if (result.finesDeducted > 0) {
+                    this.settleFines(transaction, finesSnapshot.docs, result.finesDeducted, {
+                        deductedFrom: payoutRef.id
+                    });
+                }
+
+                if (result.penaltyAmount > 0) {
+                    transaction.set(db.collection('interestPool').doc(result.year.toString()), {
+                        exitPenalties: firebase.firestore.FieldValue.increment(result.penaltyAmount),
+                        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    }, { merge: true });
+                }
+
+                if (result.savingsAmount > 0) {
+                    const { BANK, MEMBER_SAVINGS, FINES_RECEIVABLE, INTEREST_POOL } = this.LEDGER_ACCOUNTS;
+                    this.postLedgerEntry(transaction, this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.PAYOUT, [
+                        { account: MEMBER_SAVINGS, memberId, debit: result.savingsAmount },
+                        { account: FINES_RECEIVABLE, memberId, credit: result.finesDeducted },
+                        { account: INTEREST_POOL, credit: result.penaltyAmount },
+                        { account: BANK, credit: result.netAmount }
+                    ], {
+                        memberId,
+                        payoutId: payoutRef.id,
+                        description: `Exit settlement for ${member.name}`
+                    }));
+                }
+
+                return result;
+            });
+
+            await Auth.logAdminAction('member_exited', {
+                memberId,
+                memberName: settlement.name,
+                payoutId: payoutRef.id,
+                savings: settlement.savingsAmount,
+                penalty: settlement.penaltyAmount,
+                finesDeducted: settlement.finesDeducted,
+                amount: settlement.netAmount,
+                reason: reason.trim()
+            });
+
+            return settlement;
+        } catch (error) {
+            console.error('Exit member error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get a member's exit settlement
+     * @param {string} memberId - Member ID
+     * @returns {Promise<object|null>} Settlement payout record
+     */
+    async getExitSettlement(memberId) {
+        try {
+            const doc = await db.collection('payouts').doc(`exit_${memberId}`).get();
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        } catch (error) {
+            console.error('Get exit settlement error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * ==========================================
+     * STATISTICS & REPORTS
+     * ==========================================
+     */
+
+    /**
+     * Get dashboard statistics
+     * @returns {Promise<object>} Statistics object
+     */
+    async getDashboardStats() {
+        try {
+            const [members, pendingSubmissions, verifiedSubmissions, pool, pendingAppeals] = await Promise.all([
+                this.getMembers(),
+                this.getPendingSubmissions(),
+                db.collection('submissions').where('status', '==', 'verified').get(),
+                this.getInterestPool(new Date().getFullYear()),
+                db.collection('appeals').where('status', '==', 'pending').get()
+            ]);
+            
+            let totalSavings;
+            let totalFines;
+            
+            if (this.getBalanceSource() === 'ledger') {
+                const summary = this.summariseLedger(await this.getLedgerEntries());
+                totalSavings = summary.totalSavings;
+                totalFines = summary.totalFines;
+            } else {
+                totalSavings = members.reduce((sum, m) => sum + (m.totalSavings || 0), 0);
+                totalFines = members.reduce((sum, m) => sum + (m.totalFines || 0), 0);
+            }
+            
+            return {
+                memberCount: members.length,
+                pendingCount: pendingSubmissions.length,
+                verifiedCount: verifiedSubmissions.size,
+                totalSavings,
+                totalFines,
+                activeMembers: members.filter(m => m.status === 'active').length,
+                interestPool: this.getPoolTotal(pool),
+                interestPoolFines: pool.totalFines || 0,
+                interestPoolBankInterest: pool.bankInterest || 0,
+                interestPoolLoanInterest: pool.loanInterest || 0,
+                pendingAppeals: pendingAppeals.size
+            };
+        } catch (error) {
+            console.error('Get stats error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get member statistics for their account view
+     * @param {string} phone - Member phone number
+     * @returns {Promise<object>} Member statistics
      */
     async getMemberStats(phone) {
         try {
@@ -394,14 +3494,50 @@ const Database = {
             const verified = submissions.filter(s => s.status === 'verified');
             const pending = submissions.filter(s => s.status === 'pending');
             
+            let totalSavings = member.totalSavings || 0;
+            let totalFines = member.totalFines || 0;
+            
+            await this.getRules();
+            
+            if (this.getBalanceSource() === 'ledger') {
+                const summary = this.summariseLedger(await this.getLedgerEntries({ memberId: member.id }));
+                const balances = summary.members[member.id] || { savings: 0, fines: 0 };
+                totalSavings = balances.savings;
+                totalFines = balances.fines;
+            }
+            
+            // Current savings year, with earlier years from the year close snapshots
+            const year = new Date().getFullYear();
+            const [memberFines, previousYears] = await Promise.all([
+                db.collection('fines').where('memberId', '==', member.id).get(),
+                this.getMemberYearSummaries(member.id)
+            ]);
+            const inYear = (paymentMonth) => Utils.parsePaymentMonth(paymentMonth)?.year === year;
+            const yearVerified = verified.filter(s => inYear(s.paymentMonth) && this.isContribution(s));
+            const yearFineCents = yearVerified.reduce((sum, s) => sum + Utils.toCents(Utils.getNetFine(s)), 0) +
+                memberFines.docs
+                    .map(doc => doc.data())
+                    .filter(fine => inYear(fine.paymentMonth))
+                    .reduce((sum, fine) => sum + Utils.toCents(fine.amount), 0);
+
+            const currentYear = {
+                year,
+                openingSavings: this.getOpeningSavings(member, year),
+                contributions: Utils.fromCents(yearVerified.reduce((sum, s) => sum + Utils.toCents(s.amount), 0)),
+                fines: Utils.fromCents(yearFineCents),
+                verifiedCount: yearVerified.length
+            };
+
             return {
                 member,
-                totalSavings: member.totalSavings || 0,
-                totalFines: member.totalFines || 0,
+                totalSavings,
+                totalFines,
+                currentYear,
+                previousYears: previousYears.filter(summary => summary.year < year),
                 submissionCount: submissions.length,
                 verifiedCount: verified.length,
                 pendingCount: pending.length,
-                qualifiesForInterest: Utils.qualifiesForInterest(member.totalSavings || 0),
+                qualifiesForInterest: Utils.qualifiesForInterest(totalSavings),
                 submissions
             };
         } catch (error) {
@@ -416,6 +3552,10 @@ const Database = {
      */
     async getStokvelTotal() {
         try {
+            if (this.getBalanceSource() === 'ledger') {
+                return this.summariseLedger(await this.getLedgerEntries()).totalSavings;
+            }
+            
             const members = await this.getMembers();
             return members.reduce((sum, m) => sum + (m.totalSavings || 0), 0);
         } catch (error) {
@@ -448,13 +3588,17 @@ const Database = {
             const verified = submissions.filter(s => s.status === 'verified');
             const pending = submissions.filter(s => s.status === 'pending');
             const rejected = submissions.filter(s => s.status === 'rejected');
+            const contributions = verified.filter(s => this.isContribution(s));
             
-            const totalAmount = verified.reduce((sum, s) => sum + (s.amount || 0), 0);
-            const totalFines = verified.reduce((sum, s) => sum + (s.fineAmount || 0), 0);
+            const totalAmount = contributions.reduce((sum, s) => sum + (s.amount || 0), 0);
+            const loanRepayments = verified
+                .filter(s => !this.isContribution(s))
+                .reduce((sum, s) => sum + (s.amount || 0), 0);
+            const totalFines = verified.reduce((sum, s) => sum + Utils.getNetFine(s), 0);
             const latePayments = verified.filter(s => s.isLate).length;
             
             const members = await this.getMembers();
-            const compliantMembers = verified.length;
+            const compliantMembers = contributions.length;
             const complianceRate = members.length > 0 
                 ? Math.round((compliantMembers / members.length) * 100) 
                 : 0;
@@ -471,7 +3615,8 @@ const Database = {
                 financials: {
                     totalAmount,
                     totalFines,
-                    latePayments
+                    latePayments,
+                    loanRepayments
                 },
                 compliance: {
                     compliantMembers,
@@ -502,43 +3647,266 @@ const Database = {
             if (doc.exists) {
                 return { id: doc.id, ...doc.data() };
             }
-            return { year, totalFines: 0, bankInterest: 0 };
+            return { year, totalFines: 0, bankInterest: 0, loanInterest: 0, exitPenalties: 0 };
         } catch (error) {
             console.error('Get interest pool error:', error);
             throw error;
         }
     },
 
+    /**
+     * Total of an interest pool document: fines, bank interest, loan interest and exit penalties
+     * @param {object} pool - Interest pool data
+     * @returns {number} Pool total in Rand
+     */
+    getPoolTotal(pool) {
+        return Utils.fromCents(
+            Utils.toCents(pool.totalFines) + Utils.toCents(pool.bankInterest) +
+            Utils.toCents(pool.loanInterest) + Utils.toCents(pool.exitPenalties)
+        );
+    },
+
+    /**
+     * Record a bank interest credit against a year's interest pool
+     * The credit is kept in interestPool/{year}/credits and posted to the ledger
+     * @param {object} credit - { date: 'YYYY-MM-DD', amount, reference, notes }
+     * @returns {Promise<string>} Credit document ID
+     */
+    async recordBankInterest(credit) {
+        try {
+            const date = new Date(credit.date);
+            const amount = Utils.fromCents(Utils.toCents(credit.amount));
+            const reference = (credit.reference || '').trim();
+
+            if (isNaN(date)) {
+                throw new Error('Please enter the date of the interest credit');
+            }
+
+            if (!(amount > 0)) {
+                throw new Error('Interest amount must be more than zero');
+            }
+
+            const year = date.getFullYear();
+            const poolRef = db.collection('interestPool').doc(year.toString());
+
+            // A closed year's pool has already been shared out
+            const financialYear = await this.getFinancialYear(year);
+            if (financialYear?.status === 'closed') {
+                const error = new Error(`${year} has been closed; its interest pool has already been distributed`);
+                error.code = 'already-closed';
+                throw error;
+            }
+
+            // The same statement line must not be captured twice
+            const existing = await poolRef.collection('credits')
+                .where('date', '==', credit.date)
+                .where('reference', '==', reference)
+                .get();
+
+            if (!existing.empty) {
+                const error = new Error(`Interest credit ${reference || 'with no reference'} on ${Utils.formatDate(date)} is already recorded`);
+                error.code = 'duplicate-credit';
+                throw error;
+            }
+
+            const creditRef = poolRef.collection('credits').doc();
+            const batch = db.batch();
+
+            batch.set(creditRef, {
+                date: credit.date,
+                amount,
+                reference,
+                notes: credit.notes || '',
+                recordedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                recordedBy: Auth.currentUser?.uid || 'admin'
+            });
+
+            batch.set(poolRef, {
+                year,
+                bankInterest: firebase.firestore.FieldValue.increment(amount),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+
+            this.postLedgerEntry(batch, this.buildLedgerEntry(this.LEDGER_ENTRY_TYPES.BANK_INTEREST, [
+                { account: this.LEDGER_ACCOUNTS.BANK, debit: amount },
+                { account: this.LEDGER_ACCOUNTS.INTEREST_POOL, credit: amount }
+            ], {
+                reference,
+                creditId: creditRef.id,
+                year,
+                description: `Bank interest ${Utils.formatDate(date)}`
+            }));
+
+            await batch.commit();
+
+            await Auth.logAdminAction('bank_interest_recorded', {
+                creditId: creditRef.id,
+                year,
+                date: credit.date,
+                amount,
+                reference
+            });
+
+            return creditRef.id;
+        } catch (error) {
+            console.error('Record bank interest error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get the bank interest credits for a year, most recent first
+     * @param {number} year - Year
+     * @returns {Promise<Array>} Credit records
+     */
+    async getBankInterestCredits(year) {
+        try {
+            const snapshot = await db.collection('interestPool').doc(year.toString())
+                .collection('credits')
+                .orderBy('date', 'desc')
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('Get bank interest credits error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Interest distribution methods
+     */
+    INTEREST_METHODS: ['equal', 'savings', 'time_weighted'],
+
+    /**
+     * Get each member's balance-days for a year: savings carried in from the
+     * previous year close count from 1 January, and each verified contribution
+     * for a month of the year counts from its payment date (or 1 January if
+     * earlier) to 31 December. Months paid out by the rotation are left out.
+     * @param {number} year - Year
+     * @returns {Promise<object>} { balanceDays: { memberId: cents × days }, daysInYear }
+     */
+    async getTimeWeightedBalances(year) {
+        try {
+            const dayMs = 24 * 60 * 60 * 1000;
+            const yearStart = new Date(year, 0, 1);
+            const yearEnd = new Date(year, 11, 31);
+            const daysInYear = Math.round((yearEnd - yearStart) / dayMs) + 1;
+
+            const [submissions, openingSnapshot, payouts] = await Promise.all([
+                this.getVerifiedSubmissions(),
+                db.collection('yearSummaries').where('year', '==', year - 1).get(),
+                this.getPayouts(year)
+            ]);
+
+            const rotationMonths = new Set(payouts
+                .filter(payout => payout.type === 'rotation')
+                .map(payout => payout.paymentMonth));
+            const balanceDays = {};
+
+            openingSnapshot.docs.forEach(doc => {
+                const summary = doc.data();
+                const openingCents = Utils.toCents(summary.closingSavings);
+                if (openingCents > 0) {
+                    balanceDays[summary.memberId] = (balanceDays[summary.memberId] || 0) + openingCents * daysInYear;
+                }
+            });
+
+            submissions.forEach(submission => {
+                if (!submission.memberId || !this.isContribution(submission)) return;
+                if (Utils.parsePaymentMonth(submission.paymentMonth)?.year !== year) return;
+                if (rotationMonths.has(submission.paymentMonth)) return;
+
+                const paid = submission.paymentDate?.toDate?.() || new Date(submission.paymentDate);
+                if (isNaN(paid)) return;
+
+                const paidDay = new Date(paid.getFullYear(), paid.getMonth(), paid.getDate());
+                if (paidDay > yearEnd) return;
+
+                const heldFrom = paidDay < yearStart ? yearStart : paidDay;
+                const daysHeld = Math.round((yearEnd - heldFrom) / dayMs) + 1;
+
+                balanceDays[submission.memberId] = (balanceDays[submission.memberId] || 0) +
+                    Utils.toCents(submission.amount) * daysHeld;
+            });
+
+            return { balanceDays, daysInYear };
+        } catch (error) {
+            console.error('Get time-weighted balances error:', error);
+            throw error;
+        }
+    },
+
     /**
      * Calculate interest distribution
+     * Amounts are split in integer cents with Utils.allocateCents, so the
+     * member amounts always add up to the pool
      * @param {number} year - Year for distribution
+     * @param {string} method - 'equal', 'savings' or 'time_weighted' (defaults to APP_SETTINGS)
+     * @param {object} savingsByMember - Optional { memberId: savings } to use instead of member totals
      * @returns {Promise<object>} Distribution details
      */
-    async calculateInterestDistribution(year) {
+    async calculateInterestDistribution(year, method = APP_SETTINGS?.interestDistributionMethod || 'equal', savingsByMember = null) {
         try {
+            if (!this.INTEREST_METHODS.includes(method)) {
+                throw new Error(`Unknown interest distribution method: ${method}`);
+            }
+
             const pool = await this.getInterestPool(year);
-            const members = await this.getMembers();
+            await this.getRules();
+            const members = (await this.getMembers()).map(m => (
+                savingsByMember ? { ...m, totalSavings: savingsByMember[m.id] || 0 } : m
+            ));
             
             // Find qualifying members
             const qualifyingMembers = members.filter(m => 
                 m.status === 'active' && 
-                Utils.qualifiesForInterest(m.totalSavings || 0)
+                Utils.qualifiesForInterest(m.totalSavings || 0, year)
             );
             
-            const totalPool = (pool.totalFines || 0) + (pool.bankInterest || 0);
-            const perMember = qualifyingMembers.length > 0 
-                ? Math.floor(totalPool / qualifyingMembers.length) 
-                : 0;
+            const totalPoolCents = Utils.toCents(this.getPoolTotal(pool));
+
+            let weights = {};
+            let daysInYear = null;
+
+            if (method === 'savings') {
+                qualifyingMembers.forEach(m => {
+                    weights[m.id] = Utils.toCents(m.totalSavings);
+                });
+            } else if (method === 'time_weighted') {
+                const balances = await this.getTimeWeightedBalances(year);
+                weights = balances.balanceDays;
+                daysInYear = balances.daysInYear;
+            } else {
+                qualifyingMembers.forEach(m => {
+                    weights[m.id] = 1;
+                });
+            }
+
+            const allocations = Utils.allocateCents(
+                totalPoolCents,
+                qualifyingMembers.map(m => ({ id: m.id, weight: weights[m.id] || 0 }))
+            );
             
             return {
                 year,
-                totalPool,
+                method,
+                totalPool: Utils.fromCents(totalPoolCents),
                 qualifyingMembersCount: qualifyingMembers.length,
-                perMemberAmount: perMember,
-                qualifyingMembers: qualifyingMembers.map(m => ({
+                perMemberAmount: qualifyingMembers.length > 0
+                    ? Utils.fromCents(Math.floor(totalPoolCents / qualifyingMembers.length))
+                    : 0,
+                qualifyingMembers: qualifyingMembers.map((m, index) => ({
                     id: m.id,
                     name: m.name,
-                    totalSavings: m.totalSavings
+                    totalSavings: m.totalSavings,
+                    averageBalance: daysInYear
+                        ? Utils.fromCents(Math.round((weights[m.id] || 0) / daysInYear))
+                        : undefined,
+                    interestAmount: Utils.fromCents(allocations[index].cents)
                 }))
             };
         } catch (error) {
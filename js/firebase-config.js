@@ -37,13 +37,33 @@ const APP_SETTINGS = {
     stokvelName: "Tshikota Ro Farana",
     stokvelTagline: "Growing Together, Saving Together",
     
-    // Financial Rules
+    // Financial Rules (defaults; admins add dated versions in
+    // Reports > Financial Rules, stored in settings/rules). The scheduled
+    // month close keeps its own copy in functions/index.js (DEFAULT_RULES);
+    // change both together
     minimumDeposit: 300,          // R300 minimum per month
     lateFineAmount: 50,           // R50 late fee
+    missedMonthFine: 50,          // R50 fine for a month with no payment
     graceperiodEndDay: 7,         // Grace period ends on 7th
     interestEligibilityMin: 10000, // R10,000 minimum for interest
     interestThreshold: 10000,      // Alias for compatibility
     maxSkippedMonths: 3,          // Months before suspension
+    exitPenaltyPercent: 10,       // 10% of savings kept when a member leaves mid-year
+    
+    // Interest distribution: 'equal' share per qualifying member,
+    // 'savings' in proportion to total savings, or 'time_weighted'
+    // in proportion to average balance held during the year
+    interestDistributionMethod: 'equal',
+    
+    // Default stokvel mode: 'savings' (year-end payout) or 'rotating'
+    // (each month's contributions paid to one member). Admins can
+    // change it on the Rotation tab (settings/stokvel)
+    stokvelMode: 'savings',
+    
+    // Loans from the pool
+    loanInterestRate: 5,          // 5% of the principal per month (flat)
+    loanMaxTermMonths: 6,         // Longest repayment term
+    loanPoolLimitPercent: 50,     // At most 50% of the fund out on loan
     
     // Banking Details (nested object for submit-pop.js compatibility)
     bankingDetails: {
@@ -64,6 +84,14 @@ const APP_SETTINGS = {
     // Default Admin Code (change in Firestore after setup)
     defaultAdminCode: "TSHIKOTA2024",
     
+    // Balances: 'counters' reads the cached totals on member documents,
+    // 'ledger' derives them from the ledgerEntries collection
+    balanceSource: 'counters',
+    
+    // Proofs whose perceptual hashes differ in at most this many
+    // of 64 bits are flagged to admins as the same image
+    similarProofMaxDistance: 6,
+    
     // Year-end Distribution
     payoutEarliestDate: { month: 1, day: 4 }, // January 4th
     savingsPeriodEnd: { month: 12, day: 31 }  // December 31st
@@ -0,0 +1,221 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - PROOF OF PAYMENT OCR
+ * =====================================================
+ * Reads the amount, payment date and beneficiary reference off a
+ * proof of payment image on the device. The Tesseract engine is
+ * bundled under assets/vendor/tesseract (no network calls) and only
+ * loaded the first time a proof is read.
+ */
+
+const OCR = {
+    /**
+     * Folder holding the bundled engine (tesseract.min.js, worker.min.js,
+     * core/ and lang/eng.traineddata.gz), resolved from this script's location
+     */
+    VENDOR_PATH: new URL('../assets/vendor/tesseract/', document.currentScript?.src || window.location.href).href,
+
+    /**
+     * Shared worker promise (created on first use)
+     */
+    workerPromise: null,
+
+    /**
+     * Month names as they appear on bank confirmations
+     */
+    MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+    /**
+     * Load the bundled engine script and start a worker
+     * @returns {Promise<object>} Tesseract worker
+     */
+    getWorker() {
+        if (!this.workerPromise) {
+            this.workerPromise = Utils.loadScript(this.VENDOR_PATH + 'tesseract.min.js')
+                .then(() => Tesseract.createWorker('eng', 1, {
+                    workerPath: this.VENDOR_PATH + 'worker.min.js',
+                    corePath: this.VENDOR_PATH + 'core/',
+                    langPath: this.VENDOR_PATH + 'lang/',
+                    workerBlobURL: false
+                }))
+                .catch(error => {
+                    // Allow a later attempt (e.g. once the files are deployed)
+                    this.workerPromise = null;
+                    throw new Error('Could not load the OCR engine: ' + error.message);
+                });
+        }
+        return this.workerPromise;
+    },
+
+    /**
+     * Read a proof (image or PDF) and pick out the payment details
+     * @param {File|Blob} file - Proof file
+     * @returns {Promise<object>} { amount, paymentDate ('YYYY-MM-DD'), reference, text }
+     */
+    async readProof(file) {
+        // PDFs are read from a sharp render of their first page
+        const image = Storage.isPdf(file) ? await Storage.rasterizePdf(file, 1600, 0.9, 1) : file;
+
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(image);
+        return this.extract(data.text || '');
+    },
+
+    /**
+     * Pick the payment details out of recognised text
+     * @param {string} text - OCR text
+     * @returns {object} { amount, paymentDate, reference, text } (null when not found)
+     */
+    extract(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        const date = this.findDate(lines);
+
+        return {
+            amount: this.findAmount(lines),
+            paymentDate: date ? this.toDateKey(date) : null,
+            reference: this.findReference(lines),
+            text
+        };
+    },
+
+    /**
+     * Find the payment amount, preferring a line labelled "amount"
+     * @param {Array<string>} lines - OCR lines
+     * @returns {number|null} Amount in Rand
+     */
+    findAmount(lines) {
+        const pattern = /R\s?(\d{1,3}(?:[ ,]\d{3})*(?:[.,]\d{2})?|\d+(?:[.,]\d{2})?)(?!\d)/;
+        const labelled = lines.find(line => /amount|paid|total/i.test(line) && pattern.test(line));
+        const line = labelled || lines.find(line => pattern.test(line));
+        if (!line) return null;
+
+        const digits = line.match(pattern)[1];
+        const cleaned = digits.replace(/[ ,](?=\d{3}(\D|$))/g, '').replace(',', '.');
+        const amount = parseFloat(cleaned);
+        return isNaN(amount) || amount <= 0 ? null : amount;
+    },
+
+    /**
+     * Find the payment date (2024/01/05, 05/01/2024, 5 Jan 2024, 5 January 2024)
+     * @param {Array<string>} lines - OCR lines
+     * @returns {Date|null} Payment date (local midnight)
+     */
+    findDate(lines) {
+        const ordered = [
+            ...lines.filter(line => /date/i.test(line)),
+            ...lines.filter(line => !/date/i.test(line))
+        ];
+
+        for (const line of ordered) {
+            let match;
+
+            if ((match = line.match(/(\d{4})[/-](\d{1,2})[/-](\d{1,2})/))) {
+                return this.buildDate(+match[1], +match[2] - 1, +match[3]);
+            }
+
+            if ((match = line.match(/(\d{1,2})[/-](\d{1,2})[/-](\d{4})/))) {
+                return this.buildDate(+match[3], +match[2] - 1, +match[1]);
+            }
+
+            if ((match = line.match(/(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*,?\s+(\d{4})/))) {
+                const month = this.MONTHS.indexOf(match[2].toLowerCase());
+                if (month !== -1) return this.buildDate(+match[3], month, +match[1]);
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Build a date, rejecting impossible ones (e.g. misread 31/02)
+     * @returns {Date|null} Date or null
+     */
+    buildDate(year, month, day) {
+        const date = new Date(year, month, day);
+        return date.getMonth() === month && date.getDate() === day ? date : null;
+    },
+
+    /**
+     * Find the beneficiary reference ("Reference", "Beneficiary reference",
+     * "Their reference", "Recipient reference")
+     * @param {Array<string>} lines - OCR lines
+     * @returns {string|null} Reference as printed
+     */
+    findReference(lines) {
+        const labelled = /^(?:beneficiary|recipient|their)?\s*ref(?:erence)?\b\s*[:\-]?\s*(.*)$/i;
+
+        for (let i = 0; i < lines.length; i++) {
+            const match = lines[i].match(labelled);
+            if (!match) continue;
+
+            // Some banks print the value on the line below the label
+            const value = match[1] || lines[i + 1] || '';
+            if (value.trim()) return value.trim().slice(0, 60);
+        }
+
+        return null;
+    },
+
+    /**
+     * Format a date as 'YYYY-MM-DD' (the date input's format)
+     * @param {Date} date - Date
+     * @returns {string} Date key
+     */
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * List where the values read off the proof disagree with what the member typed
+     * @param {object} submission - Submission data (with ocr)
+     * @returns {Array} Disagreements { field, label, typed, read }
+     */
+    compare(submission) {
+        const read = submission?.ocr;
+        if (!read) return [];
+
+        const mismatches = [];
+
+        if (read.amount != null && Utils.toCents(read.amount) !== Utils.toCents(submission.amount)) {
+            mismatches.push({
+                field: 'amount',
+                label: 'Amount',
+                typed: Utils.formatCurrency(submission.amount),
+                read: Utils.formatCurrency(read.amount)
+            });
+        }
+
+        if (read.paymentDate) {
+            const typedDate = submission.paymentDate?.toDate?.() || new Date(submission.paymentDate);
+            if (!isNaN(typedDate) && this.toDateKey(typedDate) !== read.paymentDate) {
+                mismatches.push({
+                    field: 'paymentDate',
+                    label: 'Payment Date',
+                    typed: Utils.formatDate(typedDate),
+                    read: Utils.formatDate(new Date(`${read.paymentDate}T00:00:00`))
+                });
+            }
+        }
+
+        // The reference should carry the member's name (see bankingDetails.reference)
+        if (read.reference) {
+            const names = (submission.name || '').toLowerCase().split(/\s+/).filter(n => n.length >= 3);
+            const reference = read.reference.toLowerCase();
+            if (names.length > 0 && !names.some(n => reference.includes(n))) {
+                mismatches.push({
+                    field: 'reference',
+                    label: 'Reference',
+                    typed: submission.name,
+                    read: read.reference
+                });
+            }
+        }
+
+        return mismatches;
+    }
+};
+
+// Export for use
+window.OCR = OCR;
@@ -0,0 +1,185 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - OFFLINE SUBMISSION QUEUE
+ * =====================================================
+ * Keeps POP submissions (with their prepared proofs) in IndexedDB
+ * when they cannot be sent, so they survive a reload. An open submit page
+ * sends them when the connection returns (prompted by sw.js where background
+ * sync is supported) or when it is next opened.
+ */
+
+const OfflineQueue = {
+    /**
+     * IndexedDB database and store names
+     */
+    DB_NAME: 'tshikota-offline',
+    DB_VERSION: 1,
+    STORE: 'submissions',
+
+    /**
+     * Background sync tag the service worker listens for
+     */
+    SYNC_TAG: 'submit-queue',
+
+    /**
+     * Item states shown on the submit page
+     */
+    STATES: {
+        QUEUED: 'queued',
+        SENDING: 'sending',
+        FAILED: 'failed',
+        DUPLICATE: 'duplicate'
+    },
+
+    /**
+     * Firestore error codes that mean the request never got through
+     */
+    NETWORK_ERROR_CODES: ['unavailable', 'deadline-exceeded', 'aborted', 'internal', 'unknown', 'timeout'],
+
+    /**
+     * How long one network step may take before the submission is queued
+     */
+    SEND_TIMEOUT_MS: 30000,
+
+    /**
+     * Shared database connection promise
+     */
+    dbPromise: null,
+
+    /**
+     * Open (and create on first use) the queue database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error || new Error('Could not open the offline queue'));
+                };
+            });
+        }
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a request against the queue store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, action) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.STORE, mode);
+            const request = action(transaction.objectStore(this.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Offline queue write was aborted'));
+        });
+    },
+
+    /**
+     * Add a submission to the queue
+     * @param {object} item - { id, submissionData, proofs }
+     * @returns {Promise<object>} Stored item
+     */
+    async add(item) {
+        const stored = {
+            ...item,
+            state: this.STATES.QUEUED,
+            attempts: 0,
+            error: null,
+            queuedAt: new Date()
+        };
+        await this.run('readwrite', store => store.put(stored));
+        return stored;
+    },
+
+    /**
+     * Get every queued submission, oldest first
+     * @returns {Promise<Array>} Items
+     */
+    async getAll() {
+        const items = await this.run('readonly', store => store.getAll());
+        return items.sort((a, b) => a.queuedAt - b.queuedAt);
+    },
+
+    /**
+     * Update a queued submission
+     * @param {string} id - Item ID
+     * @param {object} changes - Fields to change
+     * @returns {Promise<object|null>} Updated item
+     */
+    async update(id, changes) {
+        const item = await this.run('readonly', store => store.get(id));
+        if (!item) return null;
+
+        const updated = { ...item, ...changes };
+        await this.run('readwrite', store => store.put(updated));
+        return updated;
+    },
+
+    /**
+     * Remove a submission from the queue
+     * @param {string} id - Item ID
+     */
+    async remove(id) {
+        await this.run('readwrite', store => store.delete(id));
+    },
+
+    /**
+     * Ask the service worker to wake an open page when the connection returns
+     * (browsers without background sync rely on the page's online event)
+     */
+    async requestSync() {
+        try {
+            const registration = await navigator.serviceWorker?.ready;
+            if (registration?.sync) {
+                await registration.sync.register(this.SYNC_TAG);
+            }
+        } catch (error) {
+            console.warn('Background sync not available:', error);
+        }
+    },
+
+    /**
+     * Whether an error means the submission could not reach the server
+     * (as opposed to being refused, which retrying will not fix)
+     * @param {Error} error - Error from sending
+     * @returns {boolean} Whether to keep it queued
+     */
+    isNetworkError(error) {
+        if (!navigator.onLine) return true;
+        if (error?.name === 'TypeError') return true; // fetch failures
+        return this.NETWORK_ERROR_CODES.includes(error?.code);
+    },
+
+    /**
+     * Reject if a promise takes too long (a write on a poor connection can hang)
+     * @param {Promise} promise - Promise to wait for
+     * @param {number} [ms] - Time limit in milliseconds
+     * @returns {Promise<*>} The promise's result
+     */
+    withTimeout(promise, ms = this.SEND_TIMEOUT_MS) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                const error = new Error('The connection is too slow to send right now');
+                error.code = 'timeout';
+                reject(error);
+            }, ms);
+            promise.then(
+                (result) => { clearTimeout(timer); resolve(result); },
+                (error) => { clearTimeout(timer); reject(error); }
+            );
+        });
+    }
+};
+
+// Export for use
+window.OfflineQueue = OfflineQueue;
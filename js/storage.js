@@ -3,6 +3,8 @@
  * TSHIKOTA RO FARANA - STORAGE MODULE (NO FIREBASE STORAGE)
  * =====================================================
  * Handles file uploads by converting to base64 and storing in Firestore
+ * Proofs live in the proofs collection, split into chunk documents, and
+ * submissions only keep their IDs
  * This version works with Firebase's free Spark plan
  */
 
@@ -13,23 +15,78 @@ const Storage = {
     MAX_FILE_SIZE: 2 * 1024 * 1024,
 
     /**
-     * Maximum base64 size to store (800KB to stay well under Firestore 1MB limit)
+     * Maximum base64 size of one proof (stored in chunks, so it may exceed
+     * Firestore's 1MB document limit)
      */
-    MAX_BASE64_SIZE: 800 * 1024,
+    MAX_BASE64_SIZE: 2.5 * 1024 * 1024,
 
     /**
-     * Allowed file types (images only - PDFs don't compress well for base64)
+     * Characters of base64 per chunk document (under Firestore's 1MB limit)
      */
-    ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    CHUNK_SIZE: 700 * 1024,
 
     /**
-     * Upload proof of payment file (converts to base64)
+     * Most proof files on one submission
+     */
+    MAX_FILES: 4,
+
+    /**
+     * Allowed file types (PDFs are rasterised to a JPEG before storing)
+     */
+    ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'],
+
+    /**
+     * Most PDF pages rendered into the stored image (bank confirmations are 1-2 pages)
+     */
+    PDF_MAX_PAGES: 3,
+
+    /**
+     * Folder holding the bundled pdf.js build (pdf.min.js and pdf.worker.min.js),
+     * resolved from this script's location
+     */
+    PDFJS_PATH: new URL('../assets/vendor/pdfjs/', document.currentScript?.src || window.location.href).href,
+
+    /**
+     * Width of the thumbnail kept on the submission for list views (taller
+     * proofs are cropped to a square from the top)
+     */
+    THUMBNAIL_SIZE: 120,
+
+    /**
+     * Grid the proof is shrunk to for its perceptual hash
+     * (9 columns give 8 left/right comparisons per row, 64 bits in total)
+     */
+    HASH_WIDTH: 9,
+    HASH_HEIGHT: 8,
+
+    /**
+     * Upload proof of payment file (converts to base64 and saves it to the proofs collection)
      * @param {File} file - File to upload
      * @param {string} reference - Payment reference
      * @param {Function} onProgress - Progress callback
-     * @returns {Promise<string>} Base64 data URL
+     * @param {number} maxSize - Most base64 characters this file may take
+     * @returns {Promise<object>} { proofId, proofHash: perceptual hash or null, thumbnail: small data URL or null, sourceType: original MIME type, sanitized: metadata removed }
+     */
+    async uploadProof(file, reference, onProgress = null, maxSize = this.MAX_BASE64_SIZE) {
+        try {
+            const { dataURL, ...details } = await this.prepareProof(file, onProgress, maxSize);
+            const proofId = await this.saveProof(dataURL, { reference, ...details });
+            return { proofId, ...details };
+        } catch (error) {
+            console.error('Upload proof error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Prepare a proof for saving without touching the network (compressed,
+     * stripped of metadata, hashed and thumbnailed), so it can also wait offline
+     * @param {File} file - Proof file
+     * @param {Function} onProgress - Progress callback
+     * @param {number} maxSize - Most base64 characters this file may take
+     * @returns {Promise<object>} { dataURL, proofHash, thumbnail, sourceType, sanitized }
      */
-    async uploadProof(file, reference, onProgress = null) {
+    async prepareProof(file, onProgress = null, maxSize = this.MAX_BASE64_SIZE) {
         try {
             // Validate file (throws on error)
             const validation = this.validateFile(file);
@@ -39,11 +96,24 @@ const Storage = {
 
             if (onProgress) onProgress(10);
 
-            // Compress image
-            let processedFile = file;
-            if (file.type.startsWith('image/')) {
+            // Rasterise PDFs, compress images (both redraw the proof on a canvas,
+            // so only its pixels are kept)
+            let processedFile = null;
+            if (this.isPdf(file)) {
+                try {
+                    processedFile = await this.rasterizePdf(file, 1200, 0.7);
+                    // Long statements: fall back to the first page only
+                    if (this.estimateBase64Size(processedFile) > maxSize) {
+                        processedFile = await this.rasterizePdf(file, 800, 0.5, 1);
+                    }
+                    if (onProgress) onProgress(50);
+                } catch (pdfError) {
+                    console.warn('PDF rasterisation failed:', pdfError);
+                    throw new Error('Could not read this PDF. Please upload a screenshot instead.');
+                }
+            } else if (file.type.startsWith('image/')) {
                 try {
-                    processedFile = await this.compressImage(file, 800, 0.6);
+                    processedFile = await this.compressImage(file, 1200, 0.7);
                     if (onProgress) onProgress(50);
                 } catch (compressError) {
                     console.warn('Image compression failed:', compressError);
@@ -54,29 +124,162 @@ const Storage = {
                         throw new Error('Could not compress image. Please try a smaller file.');
                     }
                 }
+
+                // Shrink further if the image is still over the size limit
+                if (this.estimateBase64Size(processedFile) > maxSize) {
+                    processedFile = await this.compressImage(file, 800, 0.5);
+                }
+            }
+
+            // Never store a file that was not redrawn (e.g. a new type added to ALLOWED_TYPES)
+            if (!processedFile) {
+                throw new Error('This file type cannot be prepared for upload.');
+            }
+
+            // Guarantee no metadata (Exif GPS and device details, XMP, comments) is stored
+            try {
+                processedFile = await this.stripJpegMetadata(processedFile);
+            } catch (stripError) {
+                console.warn('Metadata removal failed:', stripError);
+                throw new Error('Could not prepare this image. Please try a different file.');
             }
 
             if (onProgress) onProgress(70);
 
+            // Hash the stored image so admins can spot the same proof reused
+            let proofHash = null;
+            try {
+                proofHash = await this.computeImageHash(processedFile);
+            } catch (hashError) {
+                console.warn('Proof hash failed:', hashError);
+            }
+
+            // Small preview for the admin lists
+            let thumbnail = null;
+            try {
+                thumbnail = await this.createThumbnail(processedFile);
+            } catch (thumbnailError) {
+                console.warn('Proof thumbnail failed:', thumbnailError);
+            }
+
             // Convert to base64
             const base64 = await this.fileToBase64(processedFile);
             
-            if (onProgress) onProgress(90);
-
             // Check final size
-            if (base64.length > this.MAX_BASE64_SIZE) {
+            if (base64.length > maxSize) {
                 throw new Error('Image is still too large after compression. Please use a smaller image.');
             }
 
             if (onProgress) onProgress(100);
 
-            return base64;
+            return { dataURL: base64, proofHash, thumbnail, sourceType: file.type, sanitized: true };
         } catch (error) {
-            console.error('Upload proof error:', error);
+            console.error('Prepare proof error:', error);
             throw error;
         }
     },
 
+    /**
+     * Prepare several proof files for one submission (see prepareProof)
+     * @param {Array<File>} files - Proof files
+     * @param {Function} onProgress - Progress callback (across all files)
+     * @returns {Promise<Array>} One prepareProof result per file, in order
+     */
+    async prepareProofs(files, onProgress = null) {
+        if (files.length === 0) {
+            throw new Error('No file provided');
+        }
+        if (files.length > this.MAX_FILES) {
+            throw new Error(`You can attach up to ${this.MAX_FILES} files`);
+        }
+
+        const results = [];
+
+        for (let i = 0; i < files.length; i++) {
+            const fileProgress = onProgress
+                ? (progress) => onProgress(Math.round((i * 100 + progress) / files.length))
+                : null;
+            results.push(await this.prepareProof(files[i], fileProgress));
+        }
+
+        return results;
+    },
+
+    /**
+     * Pick the ID for a new proof document without writing anything, so a
+     * retried save goes to the same document
+     * @returns {string} Proof ID
+     */
+    createProofId() {
+        return db.collection('proofs').doc().id;
+    },
+
+    /**
+     * Save a base64 proof to the proofs collection, split into chunk documents
+     * @param {string} dataURL - Base64 data URL
+     * @param {object} meta - { proofId (from createProofId; new when omitted), reference, sourceType, proofHash, submissionId, sanitized }
+     * @param {object} batch - Write batch to add the writes to (committed by the caller); saved at once when omitted
+     * @returns {Promise<string>} Proof ID
+     */
+    async saveProof(dataURL, meta = {}, batch = null) {
+        const proofRef = meta.proofId
+            ? db.collection('proofs').doc(meta.proofId)
+            : db.collection('proofs').doc();
+        const chunks = [];
+        for (let i = 0; i < dataURL.length; i += this.CHUNK_SIZE) {
+            chunks.push(dataURL.slice(i, i + this.CHUNK_SIZE));
+        }
+
+        const writer = batch || db.batch();
+        writer.set(proofRef, {
+            reference: meta.reference || null,
+            submissionId: meta.submissionId || null,
+            sourceType: meta.sourceType || null,
+            proofHash: meta.proofHash || null,
+            sanitized: meta.sanitized === true,
+            contentType: this.getMetadata(dataURL)?.contentType || null,
+            size: dataURL.length,
+            chunkCount: chunks.length,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        chunks.forEach((data, index) => {
+            writer.set(proofRef.collection('chunks').doc(String(index)), { index, data });
+        });
+
+        if (!batch) await writer.commit();
+        return proofRef.id;
+    },
+
+    /**
+     * Load a proof from the proofs collection
+     * @param {string} proofId - Proof ID
+     * @returns {Promise<string>} Base64 data URL
+     */
+    async loadProof(proofId) {
+        const proofRef = db.collection('proofs').doc(proofId);
+        const [proofDoc, chunksSnapshot] = await Promise.all([
+            proofRef.get(),
+            proofRef.collection('chunks').orderBy('index').get()
+        ]);
+
+        if (!proofDoc.exists || chunksSnapshot.size !== proofDoc.data().chunkCount) {
+            throw new Error('Proof file is missing or incomplete');
+        }
+
+        return chunksSnapshot.docs.map(doc => doc.data().data).join('');
+    },
+
+    /**
+     * Get the image for one of a submission's proofs (see Utils.getProofs)
+     * Older submissions keep the image inline in proofURL
+     * @param {object} proof - { proofId } or { proofURL }
+     * @returns {Promise<string>} Image URL or base64 data URL
+     */
+    async getProofURL(proof) {
+        if (proof.proofURL) return proof.proofURL;
+        return this.loadProof(proof.proofId);
+    },
+
     /**
      * Compress an image file
      * @param {File} file - Image file to compress
@@ -132,6 +335,240 @@ const Storage = {
         });
     },
 
+    /**
+     * Whether a file is a PDF
+     * @param {File|Blob} file - File to check
+     * @returns {boolean} Whether it is a PDF
+     */
+    isPdf(file) {
+        return file?.type === 'application/pdf';
+    },
+
+    /**
+     * Approximate length of a blob once converted to a base64 data URL
+     * @param {Blob} blob - Blob to measure
+     * @returns {number} Approximate characters
+     */
+    estimateBase64Size(blob) {
+        return Math.ceil(blob.size / 3) * 4 + 32;
+    },
+
+    /**
+     * Render a PDF's pages, one under the other, to a single JPEG
+     * pdf.js is bundled under assets/vendor/pdfjs and loaded on first use
+     * @param {File|Blob} file - PDF file
+     * @param {number} maxWidth - Width of the image in pixels
+     * @param {number} quality - JPEG quality (0-1)
+     * @param {number} maxPages - Most pages to render
+     * @returns {Promise<Blob>} JPEG image blob
+     */
+    async rasterizePdf(file, maxWidth = 800, quality = 0.6, maxPages = this.PDF_MAX_PAGES) {
+        await Utils.loadScript(this.PDFJS_PATH + 'pdf.min.js');
+        pdfjsLib.GlobalWorkerOptions.workerSrc = this.PDFJS_PATH + 'pdf.worker.min.js';
+
+        const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+
+        try {
+            const pages = [];
+            for (let i = 1; i <= Math.min(pdf.numPages, maxPages); i++) {
+                const page = await pdf.getPage(i);
+                const unscaled = page.getViewport({ scale: 1 });
+                const viewport = page.getViewport({ scale: maxWidth / unscaled.width });
+
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(viewport.width);
+                canvas.height = Math.round(viewport.height);
+
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                await page.render({ canvasContext: ctx, viewport }).promise;
+
+                pages.push(canvas);
+            }
+
+            // Stack the pages on one white canvas
+            const sheet = document.createElement('canvas');
+            sheet.width = Math.max(...pages.map(p => p.width));
+            sheet.height = pages.reduce((sum, p) => sum + p.height, 0);
+
+            const ctx = sheet.getContext('2d');
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(0, 0, sheet.width, sheet.height);
+
+            let top = 0;
+            pages.forEach(page => {
+                ctx.drawImage(page, 0, top);
+                top += page.height;
+            });
+
+            return await new Promise((resolve, reject) => {
+                sheet.toBlob(
+                    (blob) => {
+                        if (blob) {
+                            resolve(blob);
+                        } else {
+                            reject(new Error('Failed to render PDF'));
+                        }
+                    },
+                    'image/jpeg',
+                    quality
+                );
+            });
+        } finally {
+            pdf.destroy();
+        }
+    },
+
+    /**
+     * Remove every metadata segment from a JPEG: APP1-APP15 (Exif with GPS and
+     * device details, XMP, ICC profiles, IPTC) and comments. The JFIF header,
+     * tables and image data are kept byte for byte
+     * @param {Blob} blob - JPEG image
+     * @returns {Promise<Blob>} JPEG without metadata
+     */
+    async stripJpegMetadata(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error('Not a JPEG image');
+        }
+
+        const kept = [bytes.subarray(0, 2)];
+        let offset = 2;
+
+        while (offset + 4 <= bytes.length) {
+            if (bytes[offset] !== 0xFF) {
+                throw new Error('Malformed JPEG image');
+            }
+
+            const marker = bytes[offset + 1];
+
+            // Fill bytes before a marker
+            if (marker === 0xFF) {
+                offset++;
+                continue;
+            }
+
+            // Start of scan: everything after is image data
+            if (marker === 0xDA) {
+                kept.push(bytes.subarray(offset));
+                return new Blob(kept, { type: 'image/jpeg' });
+            }
+
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            const isMetadata = (marker >= 0xE1 && marker <= 0xEF) || marker === 0xFE;
+            if (!isMetadata) {
+                kept.push(bytes.subarray(offset, offset + 2 + length));
+            }
+            offset += 2 + length;
+        }
+
+        throw new Error('Malformed JPEG image');
+    },
+
+    /**
+     * Create a small JPEG thumbnail of an image
+     * @param {File|Blob} file - Image
+     * @param {number} size - Thumbnail width (and most height) in pixels
+     * @returns {Promise<string>} Base64 data URL
+     */
+    createThumbnail(file, size = this.THUMBNAIL_SIZE) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                try {
+                    const width = Math.min(size, img.width);
+                    const scaledHeight = Math.round((img.height * width) / img.width);
+
+                    const canvas = document.createElement('canvas');
+                    canvas.width = width;
+                    canvas.height = Math.min(scaledHeight, size);
+
+                    const ctx = canvas.getContext('2d');
+                    ctx.fillStyle = '#FFFFFF';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    ctx.drawImage(img, 0, 0, width, scaledHeight);
+
+                    resolve(canvas.toDataURL('image/jpeg', 0.6));
+                } catch (err) {
+                    reject(err);
+                } finally {
+                    URL.revokeObjectURL(url);
+                }
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to load image'));
+            };
+            img.src = url;
+        });
+    },
+
+    /**
+     * Convert a data URL back to a blob
+     * @param {string} dataURL - Base64 data URL
+     * @returns {Promise<Blob>} Blob
+     */
+    async dataURLToBlob(dataURL) {
+        const response = await fetch(dataURL);
+        return response.blob();
+    },
+
+    /**
+     * Compute a perceptual (difference) hash of an image
+     * The image is shrunk to a small grayscale grid and each bit records whether a
+     * pixel is brighter than its right-hand neighbour, so re-saved, rescaled or
+     * recompressed copies of the same screenshot hash to (nearly) the same value
+     * @param {File|Blob} file - Image to hash
+     * @returns {Promise<string>} 64-bit hash as 16 hex characters
+     */
+    computeImageHash(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = this.HASH_WIDTH;
+                    canvas.height = this.HASH_HEIGHT;
+
+                    const ctx = canvas.getContext('2d');
+                    ctx.fillStyle = '#FFFFFF';
+                    ctx.fillRect(0, 0, this.HASH_WIDTH, this.HASH_HEIGHT);
+                    ctx.drawImage(img, 0, 0, this.HASH_WIDTH, this.HASH_HEIGHT);
+
+                    const { data } = ctx.getImageData(0, 0, this.HASH_WIDTH, this.HASH_HEIGHT);
+                    const gray = (x, y) => {
+                        const i = (y * this.HASH_WIDTH + x) * 4;
+                        return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                    };
+
+                    let hash = '';
+                    for (let y = 0; y < this.HASH_HEIGHT; y++) {
+                        // Each row of 8 comparisons becomes two hex digits
+                        let bits = 0;
+                        for (let x = 0; x < this.HASH_WIDTH - 1; x++) {
+                            bits = (bits << 1) | (gray(x, y) > gray(x + 1, y) ? 1 : 0);
+                        }
+                        hash += bits.toString(16).padStart(2, '0');
+                    }
+
+                    resolve(hash);
+                } catch (err) {
+                    reject(err);
+                } finally {
+                    URL.revokeObjectURL(url);
+                }
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to load image'));
+            };
+            img.src = url;
+        });
+    },
+
     /**
      * Convert file to base64 data URL
      * @param {File|Blob} file - File to convert
@@ -167,7 +604,7 @@ const Storage = {
         if (!this.ALLOWED_TYPES.includes(file.type)) {
             return { 
                 valid: false, 
-                error: 'Invalid file type. Please upload an image (JPG, PNG, GIF, or WebP)' 
+                error: 'Invalid file type. Please upload an image (JPG, PNG, GIF, or WebP) or a PDF' 
             };
         }
 
@@ -8,15 +8,15 @@ const SubmitPOP = (() => {
     let form;
     let fileInput;
     let fileUpload;
-    let filePreview;
-    let previewImage;
+    let filePreviewList;
     let submitBtn;
     let lateWarning;
     let successModal;
 
     // State
-    let selectedFile = null;
-    let previewURL = null;
+    let selectedFiles = []; // { file, previewURL }
+    let ocrResult = null;
+    let flushPromise = null;
 
     /**
      * Initialize the page
@@ -26,8 +26,7 @@ const SubmitPOP = (() => {
         form = document.getElementById('pop-form');
         fileInput = document.getElementById('proofFile');
         fileUpload = document.getElementById('fileUpload');
-        filePreview = document.getElementById('filePreview');
-        previewImage = document.getElementById('previewImage');
+        filePreviewList = document.getElementById('filePreviewList');
         submitBtn = document.getElementById('submitBtn');
         lateWarning = document.getElementById('lateWarning');
         successModal = document.getElementById('successModal');
@@ -47,8 +46,16 @@ const SubmitPOP = (() => {
         // Load banking details from config
         loadBankingDetails();
 
+        // Load the financial rules so hints match the payment month
+        Database.loadRules()
+            .then(updateRuleHints)
+            .catch(error => console.error('Error loading rules:', error));
+
         // Check for existing session
         checkExistingSession();
+
+        // Send submissions saved while offline
+        setupOfflineQueue();
     }
 
     /**
@@ -66,12 +73,30 @@ const SubmitPOP = (() => {
         fileUpload.addEventListener('dragleave', handleDragLeave);
         fileUpload.addEventListener('drop', handleDrop);
 
-        // Remove file button
-        document.getElementById('removeFile').addEventListener('click', removeFile);
+        // Remove file buttons
+        filePreviewList.addEventListener('click', (e) => {
+            const button = e.target.closest('.file-remove');
+            if (button) removeFile(parseInt(button.dataset.index, 10));
+        });
+
+        // Queued submission buttons
+        document.getElementById('queueList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) handleQueueAction(button.dataset.action, button.closest('.queue-item').dataset.id);
+        });
+
+        // Prefill from the values read off the proof
+        document.getElementById('useOcrBtn').addEventListener('click', applyOcrResult);
 
         // Payment date change - check for late payment
         document.getElementById('paymentDate').addEventListener('change', checkLatePayment);
 
+        // Payment month change - rules can differ between months
+        document.getElementById('paymentMonth').addEventListener('change', updateRuleHints);
+
+        // Payment type change - loan repayments need a loan
+        document.getElementById('paymentType').addEventListener('change', handlePaymentTypeChange);
+
         // Success modal done button
         document.getElementById('doneBtn').addEventListener('click', () => {
             App.closeModal('successModal');
@@ -91,13 +116,17 @@ const SubmitPOP = (() => {
         // Phone number formatting
         document.getElementById('phone').addEventListener('input', (e) => {
             e.target.value = e.target.value.replace(/\D/g, '').slice(0, 10);
+            if (isLoanRepayment() && e.target.value.length === 10) {
+                loadMemberLoans();
+            }
         });
 
         // Amount validation
         document.getElementById('amount').addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
-            if (value < 300) {
-                showFieldWarning(e.target, 'Minimum deposit is R300');
+            const { minimumDeposit } = getMonthRules();
+            if (value < minimumDeposit && !isLoanRepayment()) {
+                showFieldWarning(e.target, `Minimum deposit is ${Utils.formatCurrency(minimumDeposit)}`);
             } else {
                 clearFieldWarning(e.target);
             }
@@ -164,10 +193,9 @@ const SubmitPOP = (() => {
      * Handle file selection
      */
     function handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) {
-            processFile(file);
-        }
+        addFiles(e.target.files);
+        // Let the same file be picked again after removing it
+        fileInput.value = '';
     }
 
     /**
@@ -196,84 +224,258 @@ const SubmitPOP = (() => {
         e.stopPropagation();
         fileUpload.classList.remove('dragover');
 
-        const file = e.dataTransfer.files[0];
-        if (file) {
-            processFile(file);
+        addFiles(e.dataTransfer.files);
+    }
+
+    /**
+     * Add selected files (up to Storage.MAX_FILES)
+     */
+    function addFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+
+        clearFileError();
+        const hadFirst = selectedFiles[0]?.file;
+
+        for (const file of files) {
+            if (selectedFiles.length >= Storage.MAX_FILES) {
+                showFileError(`You can attach up to ${Storage.MAX_FILES} files`);
+                break;
+            }
+
+            // Validate file
+            const validation = Storage.validateFile(file);
+            if (!validation.valid) {
+                showFileError(validation.error);
+                continue;
+            }
+
+            selectedFiles.push({ file, previewURL: Storage.createPreviewURL(file) });
+        }
+
+        // Show previews
+        renderFilePreviews();
+
+        // Read the payment details off the first proof (on the device)
+        if (selectedFiles[0] && selectedFiles[0].file !== hadFirst) {
+            readProof(selectedFiles[0].file);
         }
     }
 
     /**
-     * Process selected file
+     * Run OCR on the selected proof and offer its values
      */
-    function processFile(file) {
-        // Validate file
-        const validation = Storage.validateFile(file);
-        if (!validation.valid) {
-            showFileError(validation.error);
+    async function readProof(file) {
+        const suggestion = document.getElementById('ocrSuggestion');
+        const suggestionText = document.getElementById('ocrSuggestionText');
+        const useBtn = document.getElementById('useOcrBtn');
+
+        ocrResult = null;
+        useBtn.style.display = 'none';
+
+        if (!file.type.startsWith('image/') && !Storage.isPdf(file)) {
+            suggestion.style.display = 'none';
             return;
         }
 
-        clearFileError();
-        selectedFile = file;
+        suggestionText.textContent = 'Reading your proof...';
+        suggestion.style.display = 'flex';
+
+        try {
+            const result = await OCR.readProof(file);
 
-        // Show preview
-        showFilePreview(file);
+            // A different file may have been chosen while we were reading
+            if (selectedFiles[0]?.file !== file) return;
+
+            ocrResult = result;
+
+            const found = [];
+            if (result.amount != null) found.push(Utils.formatCurrency(result.amount));
+            if (result.paymentDate) found.push(`paid ${Utils.formatDate(new Date(`${result.paymentDate}T00:00:00`), 'long')}`);
+            if (result.reference) found.push(`reference "${result.reference}"`);
+
+            if (found.length === 0) {
+                suggestion.style.display = 'none';
+                return;
+            }
+
+            suggestionText.textContent = `We read ${found.join(', ')}. Please check these against your form.`;
+            useBtn.style.display = result.amount != null || result.paymentDate ? 'inline-flex' : 'none';
+        } catch (error) {
+            // OCR is only a helper; the member can still fill the form in
+            console.warn('Could not read proof:', error);
+            if (selectedFiles[0]?.file !== file) return;
+
+            suggestionText.textContent = 'We could not read your proof automatically. Please fill in the amount and date yourself.';
+            useBtn.style.display = 'none';
+        }
     }
 
     /**
-     * Show file preview
+     * Copy the amount and payment date read off the proof into the form
      */
-    function showFilePreview(file) {
-        // Revoke previous preview URL
-        if (previewURL) {
-            Storage.revokePreviewURL(previewURL);
-        }
+    function applyOcrResult() {
+        if (!ocrResult) return;
 
-        // Create preview URL
-        previewURL = Storage.createPreviewURL(file);
+        if (ocrResult.amount != null) {
+            const amountInput = document.getElementById('amount');
+            amountInput.value = ocrResult.amount;
+            amountInput.dispatchEvent(new Event('input'));
+        }
 
-        // Update preview UI
-        if (file.type.startsWith('image/')) {
-            previewImage.src = previewURL;
-            previewImage.style.display = 'block';
-        } else {
-            // PDF - show icon
-            previewImage.src = 'data:image/svg+xml,' + encodeURIComponent(`
-                <svg width="100" height="100" viewBox="0 0 24 24" fill="none" stroke="#666" stroke-width="1.5" xmlns="http://www.w3.org/2000/svg">
-                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                    <polyline points="14 2 14 8 20 8"/>
-                    <text x="12" y="16" font-size="4" fill="#666" text-anchor="middle">PDF</text>
-                </svg>
-            `);
-            previewImage.style.display = 'block';
+        if (ocrResult.paymentDate) {
+            document.getElementById('paymentDate').value = ocrResult.paymentDate;
+            checkLatePayment();
         }
 
-        document.getElementById('fileName').textContent = file.name;
-        document.getElementById('fileSize').textContent = Utils.formatFileSize(file.size);
+        App.showToast('Form updated from your proof', 'success');
+    }
 
-        // Show preview, hide upload area
-        document.querySelector('.file-upload-content').style.display = 'none';
-        filePreview.style.display = 'flex';
-        fileUpload.classList.add('has-file');
+    /**
+     * Show a preview card for each selected file
+     */
+    function renderFilePreviews() {
+        const pdfIcon = 'data:image/svg+xml,' + encodeURIComponent(`
+            <svg width="100" height="100" viewBox="0 0 24 24" fill="none" stroke="#666" stroke-width="1.5" xmlns="http://www.w3.org/2000/svg">
+                <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                <polyline points="14 2 14 8 20 8"/>
+                <text x="12" y="16" font-size="4" fill="#666" text-anchor="middle">PDF</text>
+            </svg>
+        `);
+
+        filePreviewList.innerHTML = selectedFiles.map(({ file, previewURL }, index) => `
+            <div class="file-preview">
+                <img src="${file.type.startsWith('image/') ? previewURL : pdfIcon}" alt="Preview of ${Utils.escapeHtml(file.name)}">
+                <div class="file-preview-info">
+                    <span>${Utils.escapeHtml(file.name)}</span>
+                    <span>${Utils.formatFileSize(file.size)}</span>
+                </div>
+                <button type="button" class="file-remove" data-index="${index}" title="Remove ${Utils.escapeHtml(file.name)}">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+
+        // Hide the upload area once the limit is reached
+        const count = selectedFiles.length;
+        fileUpload.style.display = count >= Storage.MAX_FILES ? 'none' : '';
+        fileUpload.classList.toggle('has-file', count > 0);
+        document.querySelector('.file-upload-text').textContent = count > 0
+            ? `Tap to add another file (${count} of ${Storage.MAX_FILES})`
+            : 'Tap to upload or drag and drop';
     }
 
     /**
-     * Remove selected file
+     * Remove a selected file
+     * @param {number} index - Position in selectedFiles
      */
-    function removeFile() {
-        selectedFile = null;
+    function removeFile(index) {
+        const [removed] = selectedFiles.splice(index, 1);
+        if (!removed) return;
+
+        Storage.revokePreviewURL(removed.previewURL);
+        clearFileError();
+        renderFilePreviews();
+
+        // The first file is the one read by OCR
+        if (index === 0) {
+            ocrResult = null;
+            if (selectedFiles[0]) {
+                readProof(selectedFiles[0].file);
+            } else {
+                document.getElementById('ocrSuggestion').style.display = 'none';
+            }
+        }
+    }
+
+    /**
+     * Remove all selected files
+     */
+    function removeAllFiles() {
+        selectedFiles.forEach(({ previewURL }) => Storage.revokePreviewURL(previewURL));
+        selectedFiles = [];
+        ocrResult = null;
         fileInput.value = '';
+        document.getElementById('ocrSuggestion').style.display = 'none';
+        renderFilePreviews();
+    }
+
+    /**
+     * Whether the form is for a loan repayment
+     */
+    function isLoanRepayment() {
+        return document.getElementById('paymentType').value === 'loan_repayment';
+    }
+
+    /**
+     * Handle payment type change
+     */
+    function handlePaymentTypeChange() {
+        const loanRepayment = isLoanRepayment();
+
+        document.getElementById('loanGroup').style.display = loanRepayment ? 'block' : 'none';
+        clearFieldWarning(document.getElementById('amount'));
+        checkLatePayment();
+
+        if (loanRepayment) {
+            loadMemberLoans();
+        }
+    }
+
+    /**
+     * Load the active loans for the phone number entered
+     */
+    async function loadMemberLoans() {
+        const select = document.getElementById('loanId');
+        const phone = document.getElementById('phone').value.trim();
 
-        if (previewURL) {
-            Storage.revokePreviewURL(previewURL);
-            previewURL = null;
+        if (!Utils.isValidPhone(phone)) {
+            select.innerHTML = '<option value="">Enter your phone number to find your loans</option>';
+            return;
+        }
+
+        select.innerHTML = '<option value="">Loading loans...</option>';
+
+        try {
+            const loans = await Database.getLoans({ phone, status: 'active' });
+
+            if (loans.length === 0) {
+                select.innerHTML = '<option value="">No active loans for this number</option>';
+                return;
+            }
+
+            select.innerHTML = loans.map(loan => {
+                const next = loan.schedule.find(i => i.paid < i.amount);
+                const label = `${Utils.formatCurrency(loan.principal)} loan · balance ${Utils.formatCurrency(loan.balance)}` +
+                    (next ? ` · next ${Utils.formatCurrency(next.amount - next.paid)} (${next.month})` : '');
+                return `<option value="${loan.id}">${Utils.escapeHtml(label)}</option>`;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading loans:', error);
+            select.innerHTML = '<option value="">Could not load loans</option>';
         }
+    }
 
-        // Reset UI
-        previewImage.src = '';
-        document.querySelector('.file-upload-content').style.display = 'flex';
-        filePreview.style.display = 'none';
-        fileUpload.classList.remove('has-file');
+    /**
+     * Get the financial rules for the selected payment month
+     */
+    function getMonthRules() {
+        return Utils.getRulesForMonth(document.getElementById('paymentMonth').value);
+    }
+
+    /**
+     * Show the minimum deposit and late fine that apply to the selected month
+     */
+    function updateRuleHints() {
+        const rules = getMonthRules();
+
+        document.getElementById('lateWarningText').textContent =
+            `Payment after day ${rules.graceperiodEndDay} of the month will incur a ${Utils.formatCurrency(rules.lateFineAmount)} fine.`;
+        clearFieldWarning(document.getElementById('amount'));
+        checkLatePayment();
     }
 
     /**
@@ -282,8 +484,10 @@ const SubmitPOP = (() => {
     function checkLatePayment() {
         const dateInput = document.getElementById('paymentDate');
         const date = new Date(dateInput.value);
+        const paymentMonth = document.getElementById('paymentMonth').value;
         
-        if (Utils.isPaymentLate(date)) {
+        // Late fines only apply to monthly contributions
+        if (!isLoanRepayment() && Utils.isPaymentLate(date, paymentMonth || null)) {
             lateWarning.style.display = 'flex';
         } else {
             lateWarning.style.display = 'none';
@@ -302,7 +506,7 @@ const SubmitPOP = (() => {
         }
 
         // Check file
-        if (!selectedFile) {
+        if (selectedFiles.length === 0) {
             showFileError('Please upload proof of payment');
             return;
         }
@@ -311,14 +515,17 @@ const SubmitPOP = (() => {
         Utils.setButtonLoading(submitBtn, true);
 
         try {
-            // Generate reference
+            // Generate reference (kept if the submission has to wait offline)
             const reference = Utils.generateReference();
 
-            // Upload file
-            const proofURL = await Storage.uploadProof(selectedFile, reference, (progress) => {
-                // Could update progress UI here
-                console.log('Upload progress:', progress);
-            });
+            // Compress and hash the files on the device (the first is the main proof)
+            const proofs = await Storage.prepareProofs(
+                selectedFiles.map(({ file }) => file),
+                (progress) => {
+                    // Could update progress UI here
+                    console.log('Prepare progress:', progress);
+                }
+            );
 
             // Prepare submission data
             const formData = new FormData(form);
@@ -329,13 +536,45 @@ const SubmitPOP = (() => {
                 paymentDate: new Date(formData.get('paymentDate')),
                 paymentMonth: formData.get('paymentMonth'),
                 paymentMethod: formData.get('paymentMethod'),
-                proofURL: proofURL,
                 notes: formData.get('notes')?.trim() || '',
-                reference: reference
+                reference: reference,
+                paymentType: formData.get('paymentType') || 'contribution'
             };
 
-            // Submit to database
-            await Database.submitPOP(submissionData);
+            // Keep what OCR read so the treasurer can compare it
+            if (ocrResult) {
+                submissionData.ocr = {
+                    amount: ocrResult.amount,
+                    paymentDate: ocrResult.paymentDate,
+                    reference: ocrResult.reference
+                };
+            }
+
+            if (submissionData.paymentType === 'loan_repayment') {
+                submissionData.loanId = formData.get('loanId');
+            }
+
+            // Proof IDs are fixed now, so a retry after a slow write saves to the same documents
+            proofs.forEach(proof => {
+                proof.proofId = Storage.createProofId();
+            });
+
+            const item = { id: reference, submissionId: Database.createSubmissionId(), submissionData, proofs };
+
+            // Send now, or keep it on the device until the connection returns
+            let sent = false;
+            if (navigator.onLine) {
+                try {
+                    sent = await sendSubmission(item, { askIfDuplicate: true });
+                    if (!sent) return; // Member chose not to submit a repeat payment
+                } catch (error) {
+                    if (!OfflineQueue.isNetworkError(error)) throw error;
+                }
+            }
+
+            if (!sent) {
+                await queueSubmission(item);
+            }
 
             // Save member session for convenience
             Auth.setMemberSession({
@@ -343,6 +582,11 @@ const SubmitPOP = (() => {
                 phone: submissionData.phone
             });
 
+            if (!sent) {
+                resetForm();
+                return;
+            }
+
             // Show success modal
             document.getElementById('referenceNumber').textContent = reference;
             App.openModal('successModal');
@@ -358,6 +602,308 @@ const SubmitPOP = (() => {
         }
     }
 
+    /**
+     * Check a prepared submission for a repeat payment, then save its proofs
+     * and the submission itself
+     * @param {object} item - { id, submissionId, submissionData, proofs } (see OfflineQueue.add)
+     * @param {object} options - { askIfDuplicate: confirm with the member if it repeats a payment on file, allowDuplicate: submit a repeat without asking, queued: the item is in the offline queue }
+     * @returns {Promise<boolean>} False if the member chose not to submit a repeat
+     */
+    async function sendSubmission(item, options = {}) {
+        const { submissionData, proofs } = item;
+        let allowDuplicate = options.allowDuplicate === true;
+
+        // An earlier attempt that timed out may have been delivered by Firestore's
+        // own offline queue; it wrote the same submission ID, so it is already sent
+        if (options.queued && await OfflineQueue.withTimeout(Database.getSubmission(item.submissionId))) {
+            return true;
+        }
+
+        // Members who have left cannot submit (checked before saving the proof)
+        await OfflineQueue.withTimeout(Database.checkCanSubmit(submissionData.phone));
+
+        // Settle a repeat payment before saving anything, so cancelling leaves no proofs behind
+        if (!allowDuplicate) {
+            const duplicates = await OfflineQueue.withTimeout(Database.findDuplicateSubmissions(submissionData));
+
+            if (duplicates.length > 0) {
+                if (!options.askIfDuplicate) throw Database.buildDuplicateSubmissionError(duplicates);
+                if (!await confirmDuplicate(duplicates[0])) return false;
+                allowDuplicate = true;
+            }
+        }
+
+        // Save each proof once; a retry skips the ones already saved
+        for (const proof of proofs) {
+            if (proof.saved) continue;
+
+            try {
+                await OfflineQueue.withTimeout(Storage.saveProof(proof.dataURL, {
+                    proofId: proof.proofId,
+                    reference: submissionData.reference,
+                    sourceType: proof.sourceType,
+                    proofHash: proof.proofHash,
+                    sanitized: proof.sanitized
+                }));
+            } catch (error) {
+                // Proofs can be created by anyone but never overwritten, so a refused
+                // retry means the earlier, timed-out write did reach Firestore
+                if (!options.queued || error.code !== 'permission-denied') throw error;
+            }
+
+            proof.saved = true;
+
+            if (options.queued) {
+                await OfflineQueue.update(item.id, { proofs });
+            }
+        }
+
+        const [mainProof, ...additionalProofs] = proofs;
+        const data = {
+            ...submissionData,
+            proofId: mainProof.proofId,
+            proofHash: mainProof.proofHash,
+            proofSourceType: mainProof.sourceType,
+            proofThumbnail: mainProof.thumbnail,
+            additionalProofs: additionalProofs.map(({ proofId, proofHash, sourceType, sanitized }) => ({
+                proofId, proofHash, sourceType, sanitized
+            })),
+            sanitized: proofs.every(proof => proof.sanitized)
+        };
+
+        try {
+            await OfflineQueue.withTimeout(Database.submitPOP(data, { allowDuplicate, submissionId: item.submissionId }));
+        } catch (error) {
+            // Submissions cannot be overwritten, so a refused retry means an
+            // earlier attempt landed in the meantime
+            if (!options.queued || error.code !== 'permission-denied') throw error;
+        }
+
+        return true;
+    }
+
+    /**
+     * Ask the member whether a payment that matches one on file is a separate payment
+     * @param {object} existing - Matching submission
+     * @returns {Promise<boolean>} Whether to submit it anyway
+     */
+    function confirmDuplicate(existing) {
+        return App.showConfirmModal({
+            title: 'Already Submitted?',
+            message: `You already submitted ${Utils.formatCurrency(existing.amount)} paid on ` +
+                `${Utils.formatDate(existing.paymentDate)} for ` +
+                `${existing.paymentMonth} (reference ${existing.reference}, ${existing.status}). ` +
+                'Only submit again if this is a separate payment.',
+            confirmText: 'Submit Again',
+            cancelText: 'Cancel'
+        });
+    }
+
+    /**
+     * Keep a submission on the device until it can be sent
+     * @param {object} item - { id, submissionData, proofs }
+     */
+    async function queueSubmission(item) {
+        await OfflineQueue.add(item);
+        OfflineQueue.requestSync();
+        renderQueue();
+
+        App.showToast(
+            `You are offline. Payment ${item.id} is saved on this device and will be sent when you reconnect.`,
+            'warning',
+            6000
+        );
+    }
+
+    /**
+     * Send the queued submissions (one run at a time)
+     * @returns {Promise<object>} { done: nothing is left waiting to be sent }
+     */
+    function flushQueue() {
+        if (!flushPromise) {
+            flushPromise = sendQueued()
+                .catch(error => {
+                    console.error('Send queue error:', error);
+                    return { done: false };
+                })
+                .finally(() => {
+                    flushPromise = null;
+                });
+        }
+        return flushPromise;
+    }
+
+    /**
+     * Send each waiting submission, oldest first
+     * Failed and possibly repeated submissions wait for the member to decide
+     * @returns {Promise<object>} { done }
+     */
+    async function sendQueued() {
+        const { STATES } = OfflineQueue;
+        const items = await OfflineQueue.getAll();
+
+        for (const item of items) {
+            if (!navigator.onLine) break;
+
+            // A submission left "sending" was interrupted by a closed tab
+            if (item.state !== STATES.QUEUED && item.state !== STATES.SENDING) continue;
+
+            await OfflineQueue.update(item.id, { state: STATES.SENDING, attempts: item.attempts + 1, error: null });
+            await renderQueue();
+
+            try {
+                await sendSubmission(item, { queued: true, allowDuplicate: item.allowDuplicate });
+                await OfflineQueue.remove(item.id);
+                App.showToast(`Payment ${item.id} sent`, 'success');
+            } catch (error) {
+                if (error.code === 'duplicate-submission') {
+                    // A send that timed out may have reached the server after all
+                    const own = error.duplicates.find(d => d.reference === item.id);
+                    if (own) {
+                        await OfflineQueue.remove(item.id);
+                        App.showToast(`Payment ${item.id} sent`, 'success');
+                    } else {
+                        const existing = error.duplicates[0];
+                        await OfflineQueue.update(item.id, {
+                            state: STATES.DUPLICATE,
+                            error: `Already received as ${existing.reference} (${existing.status})`
+                        });
+                    }
+                } else if (OfflineQueue.isNetworkError(error)) {
+                    // Still no connection; try again later
+                    await OfflineQueue.update(item.id, { state: STATES.QUEUED, error: error.message });
+                    OfflineQueue.requestSync();
+                    break;
+                } else {
+                    await OfflineQueue.update(item.id, { state: STATES.FAILED, error: error.message });
+                }
+            }
+        }
+
+        await renderQueue();
+
+        const remaining = await OfflineQueue.getAll();
+        return {
+            done: !remaining.some(item => item.state === STATES.QUEUED || item.state === STATES.SENDING)
+        };
+    }
+
+    /**
+     * Show the submissions waiting on this device
+     */
+    async function renderQueue() {
+        const card = document.getElementById('queueCard');
+        const list = document.getElementById('queueList');
+
+        let items;
+        try {
+            items = await OfflineQueue.getAll();
+        } catch (error) {
+            console.warn('Could not read the offline queue:', error);
+            card.style.display = 'none';
+            return;
+        }
+
+        const { STATES } = OfflineQueue;
+        const badges = {
+            [STATES.QUEUED]: '<span class="badge badge-warning">Waiting</span>',
+            [STATES.SENDING]: '<span class="badge badge-info">Sending</span>',
+            [STATES.FAILED]: '<span class="badge badge-error">Not Sent</span>',
+            [STATES.DUPLICATE]: '<span class="badge badge-error">Already Received?</span>'
+        };
+
+        card.style.display = items.length > 0 ? 'block' : 'none';
+        list.innerHTML = items.map(item => {
+            const { submissionData } = item;
+            let actions = '';
+            if (item.state === STATES.FAILED) {
+                actions += '<button type="button" class="btn btn-secondary btn-sm" data-action="retry">Retry</button>';
+            }
+            if (item.state === STATES.DUPLICATE) {
+                actions += '<button type="button" class="btn btn-secondary btn-sm" data-action="send-anyway">Send Anyway</button>';
+            }
+            if (item.state !== STATES.SENDING) {
+                actions += '<button type="button" class="btn btn-ghost btn-sm" data-action="remove">Remove</button>';
+            }
+
+            return `
+                <li class="queue-item" data-id="${Utils.escapeHtml(item.id)}">
+                    <div class="queue-item-info">
+                        <strong>${Utils.escapeHtml(item.id)}</strong>
+                        <span>${Utils.formatCurrency(submissionData.amount)} · ${Utils.escapeHtml(submissionData.paymentMonth)}</span>
+                        ${item.error ? `<span class="queue-item-error">${Utils.escapeHtml(item.error)}</span>` : ''}
+                    </div>
+                    ${badges[item.state] || ''}
+                    ${actions ? `<div class="queue-item-actions">${actions}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Handle a button on a queued submission
+     * @param {string} action - 'retry', 'send-anyway' or 'remove'
+     * @param {string} id - Item ID (the reference)
+     */
+    async function handleQueueAction(action, id) {
+        try {
+            if (action === 'remove') {
+                const confirmed = await App.showConfirmModal({
+                    title: 'Remove Payment?',
+                    message: `Payment ${id} has not been sent. Remove it from this device?`,
+                    confirmText: 'Remove',
+                    cancelText: 'Keep',
+                    type: 'danger'
+                });
+                if (!confirmed) return;
+
+                await OfflineQueue.remove(id);
+                await renderQueue();
+                return;
+            }
+
+            await OfflineQueue.update(id, {
+                state: OfflineQueue.STATES.QUEUED,
+                error: null,
+                ...(action === 'send-anyway' ? { allowDuplicate: true } : {})
+            });
+
+            if (!navigator.onLine) {
+                OfflineQueue.requestSync();
+                await renderQueue();
+                App.showToast('It will be sent when you reconnect', 'info');
+                return;
+            }
+
+            await flushQueue();
+        } catch (error) {
+            console.error('Queue action error:', error);
+            App.showToast(error.message || 'Something went wrong. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Register the service worker and send anything queued while offline
+     */
+    function setupOfflineQueue() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js')
+                .catch(error => console.warn('Service worker not registered:', error));
+
+            // Background sync asks an open page to send the queue (see sw.js)
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data?.type !== 'flush-queue' || !e.ports[0]) return;
+                flushQueue().then(result => e.ports[0].postMessage(result));
+            });
+        }
+
+        // Browsers without background sync retry when the connection returns
+        window.addEventListener('online', flushQueue);
+
+        renderQueue();
+        flushQueue();
+    }
+
     /**
      * Validate form fields
      */
@@ -419,6 +965,15 @@ const SubmitPOP = (() => {
             clearFieldError(monthSelect);
         }
 
+        // Loan (for loan repayments)
+        const loanSelect = document.getElementById('loanId');
+        if (isLoanRepayment() && !loanSelect.value) {
+            showFieldError(loanSelect, 'Please select the loan you are repaying');
+            isValid = false;
+        } else {
+            clearFieldError(loanSelect);
+        }
+
         // Payment method
         const methodSelect = document.getElementById('paymentMethod');
         if (!methodSelect.value) {
@@ -473,7 +1028,7 @@ const SubmitPOP = (() => {
             hint.classList.remove('warning');
             // Restore original hint
             if (field.id === 'amount') {
-                hint.textContent = 'Minimum R300 per month';
+                hint.textContent = `Minimum ${Utils.formatCurrency(getMonthRules().minimumDeposit)} per month`;
             }
         }
     }
@@ -505,7 +1060,7 @@ const SubmitPOP = (() => {
      */
     function resetForm() {
         form.reset();
-        removeFile();
+        removeAllFiles();
         clearFileError();
         
         // Clear all field errors
@@ -514,6 +1069,7 @@ const SubmitPOP = (() => {
         });
 
         // Reset defaults
+        handlePaymentTypeChange();
         setDefaultDate();
         populateMonthOptions();
         checkExistingSession();
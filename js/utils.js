@@ -20,6 +20,76 @@ const Utils = {
         }).format(amount);
     },
 
+    /**
+     * Convert a Rand amount to integer cents
+     * @param {number} amount - Amount in Rand
+     * @returns {number} Amount in cents
+     */
+    toCents(amount) {
+        return Math.round((Number(amount) || 0) * 100);
+    },
+
+    /**
+     * Convert integer cents back to a Rand amount
+     * @param {number} cents - Amount in cents
+     * @returns {number} Amount in Rand
+     */
+    fromCents(cents) {
+        return Math.round(cents) / 100;
+    },
+
+    /**
+     * Split an amount of cents across weighted shares without losing any cents
+     * Each share gets the floor of its exact portion; the leftover cents go one
+     * each to the largest remainders (ties: larger weight, then lower id)
+     * @param {number} totalCents - Cents to split
+     * @param {Array} shares - Array of { id, weight } (non-negative weights)
+     * @returns {Array} Array of { id, weight, cents } in the original order
+     */
+    allocateCents(totalCents, shares) {
+        if (shares.length === 0) return [];
+
+        // Integer weights in BigInt so large balances stay exact
+        let weights = shares.map(s => BigInt(Math.max(0, Math.round(s.weight || 0))));
+        let totalWeight = weights.reduce((sum, w) => sum + w, 0n);
+
+        // Nobody has any weight - fall back to equal shares
+        if (totalWeight === 0n) {
+            weights = shares.map(() => 1n);
+            totalWeight = BigInt(shares.length);
+        }
+
+        const total = BigInt(Math.round(totalCents));
+        const results = shares.map((share, index) => ({
+            index,
+            id: share.id,
+            weight: weights[index],
+            cents: (total * weights[index]) / totalWeight,
+            remainder: (total * weights[index]) % totalWeight
+        }));
+
+        let leftover = total - results.reduce((sum, r) => sum + r.cents, 0n);
+
+        [...results]
+            .sort((a, b) => {
+                if (a.remainder !== b.remainder) return a.remainder > b.remainder ? -1 : 1;
+                if (a.weight !== b.weight) return a.weight > b.weight ? -1 : 1;
+                return String(a.id).localeCompare(String(b.id));
+            })
+            .forEach(result => {
+                if (leftover > 0n) {
+                    result.cents += 1n;
+                    leftover -= 1n;
+                }
+            });
+
+        return results.map(r => ({
+            id: r.id,
+            weight: shares[r.index].weight,
+            cents: Number(r.cents)
+        }));
+    },
+
     /**
      * Format date for display
      * @param {Date|string|object} date - Date to format (can be Firestore Timestamp)
@@ -96,6 +166,33 @@ const Utils = {
         return `${this.getMonthName(now.getMonth() + 1)} ${now.getFullYear()}`;
     },
 
+    /**
+     * Parse a payment month string
+     * @param {string} paymentMonth - e.g., "December 2024"
+     * @returns {object|null} { month: 12, year: 2024 }
+     */
+    parsePaymentMonth(paymentMonth) {
+        const [name, year] = (paymentMonth || '').trim().split(/\s+/);
+        const month = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]
+            .find(m => this.getMonthName(m).toLowerCase() === (name || '').toLowerCase());
+
+        if (!month || !/^\d{4}$/.test(year || '')) {
+            return null;
+        }
+
+        return { month, year: parseInt(year) };
+    },
+
+    /**
+     * Get a sortable month key
+     * @param {number} month - Month number (1-12)
+     * @param {number} year - Year
+     * @returns {string} e.g., "2024-12"
+     */
+    getMonthKey(month, year) {
+        return `${year}-${String(month).padStart(2, '0')}`;
+    },
+
     /**
      * Generate a unique reference code
      * @returns {string} Reference code (e.g., "TRF-A1B2C3")
@@ -203,38 +300,157 @@ const Utils = {
         };
     },
 
+    /**
+     * Financial rules that can change over time (versioned in settings/rules)
+     */
+    RULE_KEYS: [
+        'minimumDeposit',
+        'lateFineAmount',
+        'missedMonthFine',
+        'graceperiodEndDay',
+        'interestEligibilityMin',
+        'maxSkippedMonths',
+        'exitPenaltyPercent'
+    ],
+
+    /**
+     * Rule versions loaded by Database.loadRules, oldest first
+     * Until a version is loaded (or before the first one) APP_SETTINGS applies
+     */
+    ruleVersions: [],
+
+    /**
+     * Cache the rule versions
+     * @param {Array} versions - [{ effectiveFrom: 'YYYY-MM', ...rules }]
+     */
+    setRuleVersions(versions) {
+        this.ruleVersions = [...(versions || [])]
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    },
+
+    /**
+     * Get the financial rules that applied in a month
+     * @param {string|Date} when - Payment month ("March 2025"), month key ("2025-03") or a date (defaults to now)
+     * @returns {object} Rules, with effectiveFrom null when the APP_SETTINGS defaults apply
+     */
+    getRulesForMonth(when = new Date()) {
+        let monthKey;
+        if (when instanceof Date) {
+            monthKey = this.getMonthKey(when.getMonth() + 1, when.getFullYear());
+        } else if (/^\d{4}-\d{2}$/.test(when || '')) {
+            monthKey = when;
+        } else {
+            const parsed = this.parsePaymentMonth(when) ||
+                { month: new Date().getMonth() + 1, year: new Date().getFullYear() };
+            monthKey = this.getMonthKey(parsed.month, parsed.year);
+        }
+
+        const defaults = {
+            effectiveFrom: null,
+            minimumDeposit: APP_SETTINGS?.minimumDeposit || 300,
+            lateFineAmount: APP_SETTINGS?.lateFineAmount ?? 50,
+            missedMonthFine: APP_SETTINGS?.missedMonthFine ?? 50,
+            graceperiodEndDay: APP_SETTINGS?.graceperiodEndDay || 7,
+            interestEligibilityMin: APP_SETTINGS?.interestEligibilityMin || 10000,
+            maxSkippedMonths: APP_SETTINGS?.maxSkippedMonths || 3,
+            exitPenaltyPercent: APP_SETTINGS?.exitPenaltyPercent ?? 10
+        };
+
+        const version = this.ruleVersions.filter(v => v.effectiveFrom <= monthKey).pop();
+        if (!version) return defaults;
+
+        const rules = { ...defaults, effectiveFrom: version.effectiveFrom };
+        this.RULE_KEYS.forEach(key => {
+            if (typeof version[key] === 'number') rules[key] = version[key];
+        });
+        return rules;
+    },
+
     /**
      * Check if a payment is late (after grace period)
      * @param {Date} paymentDate - Date of payment
+     * @param {string} paymentMonth - Month the payment is for (defaults to the payment date's month)
      * @returns {boolean} Whether payment is late
      */
-    isPaymentLate(paymentDate) {
-        const graceEnd = APP_SETTINGS?.graceperiodEndDay || 7;
+    isPaymentLate(paymentDate, paymentMonth = null) {
+        const graceEnd = this.getRulesForMonth(paymentMonth || paymentDate).graceperiodEndDay;
         return paymentDate.getDate() > graceEnd;
     },
 
     /**
      * Calculate if member qualifies for interest
      * @param {number} totalSavings - Total savings amount
+     * @param {number} year - Savings year (uses the rules in force at its end; defaults to now)
      * @returns {boolean} Whether member qualifies
      */
-    qualifiesForInterest(totalSavings) {
-        const minAmount = APP_SETTINGS?.interestEligibilityMin || 10000;
+    qualifiesForInterest(totalSavings, year = null) {
+        const minAmount = this.getRulesForMonth(year ? `${year}-12` : new Date()).interestEligibilityMin;
         return totalSavings >= minAmount;
     },
 
+    /**
+     * Get the late fine still owed on a submission after any waiver
+     * @param {object} submission - Submission data
+     * @returns {number} Fine in Rand
+     */
+    getNetFine(submission) {
+        const cents = this.toCents(submission?.fineAmount) - this.toCents(submission?.fineWaivedAmount);
+        return this.fromCents(Math.max(0, cents));
+    },
+
+    /**
+     * List every proof file on a submission, main proof first
+     * (proofId points into the proofs collection; older submissions have an inline proofURL)
+     * @param {object} submission - Submission data
+     * @returns {Array} Proofs { proofId, proofURL, proofHash, sourceType }
+     */
+    getProofs(submission) {
+        if (!submission?.proofId && !submission?.proofURL) return [];
+
+        return [
+            {
+                proofId: submission.proofId || null,
+                proofURL: submission.proofURL || null,
+                proofHash: submission.proofHash || null,
+                sourceType: submission.proofSourceType || null
+            },
+            ...(submission.additionalProofs || [])
+        ];
+    },
+
     /**
      * Get payment status based on amount
      * @param {number} amount - Amount paid in month
+     * @param {string} paymentMonth - Month the amount is for (defaults to now)
      * @returns {string} Status: 'compliant', 'non-compliant', 'skipped'
      */
-    getPaymentStatus(amount) {
-        const minDeposit = APP_SETTINGS?.minimumDeposit || 300;
+    getPaymentStatus(amount, paymentMonth = null) {
+        const minDeposit = this.getRulesForMonth(paymentMonth || new Date()).minimumDeposit;
         if (amount >= minDeposit) return 'compliant';
         if (amount > 0) return 'non-compliant';
         return 'skipped';
     },
 
+    /**
+     * Count the bits that differ between two hex hashes (e.g. proof hashes)
+     * @param {string} a - First hash
+     * @param {string} b - Second hash
+     * @returns {number} Hamming distance (Infinity when the hashes cannot be compared)
+     */
+    hashDistance(a, b) {
+        if (!a || !b || a.length !== b.length) return Infinity;
+
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (diff) {
+                distance += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return distance;
+    },
+
     /**
      * Check if device is mobile
      * @returns {boolean} Whether device is mobile
@@ -334,6 +550,30 @@ const Utils = {
         return allowedTypes.includes(file.type);
     },
 
+    /**
+     * Load a script once (later calls share the first load)
+     * @param {string} src - Script URL
+     * @returns {Promise<void>} Resolves when the script has run
+     */
+    loadScript(src) {
+        this.loadedScripts = this.loadedScripts || {};
+
+        if (!this.loadedScripts[src]) {
+            this.loadedScripts[src] = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    delete this.loadedScripts[src];
+                    reject(new Error(`Failed to load ${src}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+
+        return this.loadedScripts[src];
+    },
+
     /**
      * Get file size in human readable format
      * @param {number} bytes - File size in bytes
@@ -169,14 +169,24 @@ const ViewAccount = (() => {
             document.getElementById('memberAvatar').textContent = Utils.getInitials(currentMember.name);
             
             // Update status badge
-            const statusEl = document.getElementById('memberStatus');
-            if (currentMember.status === 'suspended') {
-                statusEl.textContent = 'Suspended';
-                statusEl.classList.add('suspended');
-            } else {
-                statusEl.textContent = 'Active Member';
-                statusEl.classList.remove('suspended');
-            }
+            updateStatusBadge(currentMember);
+        }
+    }
+
+    /**
+     * Update the welcome status badge
+     * @param {object} member - Member data (status, statusReason)
+     */
+    function updateStatusBadge(member) {
+        const statusEl = document.getElementById('memberStatus');
+        if (member.status === 'suspended') {
+            statusEl.textContent = 'Suspended';
+            statusEl.title = member.statusReason || '';
+            statusEl.classList.add('suspended');
+        } else {
+            statusEl.textContent = 'Active Member';
+            statusEl.title = '';
+            statusEl.classList.remove('suspended');
         }
     }
 
@@ -209,6 +219,11 @@ const ViewAccount = (() => {
         try {
             const stats = await Database.getMemberStats(currentMember.phone);
 
+            // The session only holds id, name and phone, so take the status from the member record
+            if (stats.member) {
+                updateStatusBadge(stats.member);
+            }
+
             // Update stat cards
             document.getElementById('totalSaved').textContent = Utils.formatCurrency(stats.totalSavings || 0);
             document.getElementById('totalFines').textContent = Utils.formatCurrency(stats.totalFines || 0);
@@ -220,6 +235,12 @@ const ViewAccount = (() => {
             document.getElementById('verifiedCount').textContent = stats.verifiedCount || 0;
             document.getElementById('pendingCount').textContent = stats.pendingCount || 0;
 
+            // Update savings years
+            updateYears(stats.currentYear, stats.previousYears || []);
+
+            // Update rotation position (rotating mode only)
+            updateRotation(stats.member);
+
             // Update interest eligibility
             updateEligibility(stats.totalSavings || 0);
 
@@ -228,11 +249,73 @@ const ViewAccount = (() => {
         }
     }
 
+    /**
+     * Show the member's place in the rotation when the stokvel runs in rotating mode
+     */
+    async function updateRotation(member) {
+        const card = document.getElementById('rotationCard');
+
+        try {
+            const settings = await Database.getStokvelSettings();
+            const members = settings.mode === 'rotating' ? await Database.getMembers() : [];
+            const schedule = Database.buildRotationSchedule(settings, members);
+
+            if (!schedule) {
+                card.style.display = 'none';
+                return;
+            }
+
+            const currentMonth = Utils.getCurrentPaymentMonth();
+            const own = schedule.months.find(m => m.memberId === member?.id);
+            const current = schedule.months.find(m => m.paymentMonth === currentMonth);
+
+            document.getElementById('rotationTitle').textContent = `Rotation · Cycle ${schedule.cycle}`;
+            document.getElementById('rotationPosition').textContent = own
+                ? `${own.position} of ${schedule.months.length}`
+                : 'Not in rotation';
+            document.getElementById('rotationPayoutMonth').textContent = own ? own.paymentMonth : '-';
+            document.getElementById('rotationCurrentRecipient').textContent = current
+                ? (current.memberId === member?.id ? 'You' : current.name)
+                : 'Rotation not started';
+
+            card.style.display = 'block';
+
+        } catch (error) {
+            console.error('Error loading rotation:', error);
+            card.style.display = 'none';
+        }
+    }
+
+    /**
+     * Update the current year and previous years summaries
+     */
+    function updateYears(currentYear, previousYears) {
+        if (currentYear) {
+            document.getElementById('currentYearTitle').textContent = `${currentYear.year} Savings Year`;
+            document.getElementById('openingSavingsRow').style.display = currentYear.openingSavings > 0 ? 'flex' : 'none';
+            document.getElementById('yearOpeningSavings').textContent = Utils.formatCurrency(currentYear.openingSavings);
+            document.getElementById('yearContributions').textContent = Utils.formatCurrency(currentYear.contributions);
+            document.getElementById('yearFines').textContent = Utils.formatCurrency(currentYear.fines);
+            document.getElementById('yearVerifiedCount').textContent = currentYear.verifiedCount;
+        }
+
+        document.getElementById('previousYearsCard').style.display = previousYears.length > 0 ? 'block' : 'none';
+        document.getElementById('previousYearsList').innerHTML = previousYears.map(summary => `
+            <div class="summary-row">
+                <span class="summary-label">${summary.year}</span>
+                <span class="summary-value">
+                    ${Utils.formatCurrency(summary.contributions)} saved
+                    · ${summary.paidOut > 0 ? `${Utils.formatCurrency(summary.paidOut)} paid out` : `${Utils.formatCurrency(summary.closingSavings)} carried`}
+                </span>
+            </div>
+        `).join('');
+    }
+
     /**
      * Update interest eligibility display
      */
     function updateEligibility(totalSavings) {
-        const threshold = APP_SETTINGS.interestThreshold;
+        const threshold = Utils.getRulesForMonth().interestEligibilityMin;
         const progress = Math.min((totalSavings / threshold) * 100, 100);
         const isEligible = totalSavings >= threshold;
 
@@ -278,7 +361,12 @@ const ViewAccount = (() => {
         emptyEl.style.display = 'none';
 
         try {
-            memberSubmissions = await Database.getMemberSubmissions(currentMember.phone);
+            const [submissions, appeals] = await Promise.all([
+                Database.getMemberSubmissions(currentMember.phone),
+                Database.getAppeals({ phone: currentMember.phone })
+            ]);
+            memberSubmissions = submissions;
+            const appealsBySubmission = Object.fromEntries(appeals.map(a => [a.submissionId, a]));
 
             // Hide loading
             loadingEl.style.display = 'none';
@@ -290,7 +378,7 @@ const ViewAccount = (() => {
 
             // Render submissions
             memberSubmissions.forEach(sub => {
-                listEl.appendChild(createSubmissionCard(sub));
+                listEl.appendChild(createSubmissionCard(sub, appealsBySubmission[sub.id]));
             });
 
         } catch (error) {
@@ -308,7 +396,7 @@ const ViewAccount = (() => {
     /**
      * Create submission card element
      */
-    function createSubmissionCard(submission) {
+    function createSubmissionCard(submission, appeal = null) {
         const card = document.createElement('div');
         card.className = 'submission-card';
 
@@ -331,20 +419,93 @@ const ViewAccount = (() => {
                             <line x1="12" y1="9" x2="12" y2="13"/>
                             <line x1="12" y1="17" x2="12.01" y2="17"/>
                         </svg>
-                        Late Fee: ${Utils.formatCurrency(submission.fineAmount)}
+                        Late Fee: ${Utils.formatCurrency(Utils.getNetFine(submission))}
+                        ${submission.fineWaivedAmount ? ` (${Utils.formatCurrency(submission.fineWaivedAmount)} waived)` : ''}
                     </div>
                 ` : ''}
+                ${getAppealHtml(submission, appeal)}
             </div>
             <div class="submission-footer">
                 <span class="submission-ref">${submission.reference}</span>
                 ${submission.status === 'pending' ? '<span class="submission-pending">Awaiting approval</span>' : ''}
-                ${submission.status === 'rejected' ? `<span class="submission-rejected">Reason: ${submission.rejectionReason || 'Not specified'}</span>` : ''}
+                ${submission.status === 'rejected' ? `<span class="submission-rejected">Reason: ${Utils.escapeHtml(submission.rejectionReason || 'Not specified')}</span>` : ''}
+                ${submission.status === 'reversed' ? `<span class="submission-rejected">Reversed: ${Utils.escapeHtml(submission.reversalReason || 'Not specified')}</span>` : ''}
             </div>
         `;
 
+        const appealBtn = card.querySelector('.appeal-toggle');
+        if (appealBtn) {
+            appealBtn.addEventListener('click', () => {
+                card.querySelector('.appeal-form').style.display = 'block';
+                appealBtn.style.display = 'none';
+            });
+            card.querySelector('.appeal-submit').addEventListener('click', (e) => handleAppeal(submission, card, e.currentTarget));
+        }
+
         return card;
     }
 
+    /**
+     * Build the appeal status or appeal form for a fined submission
+     */
+    function getAppealHtml(submission, appeal) {
+        if (appeal) {
+            const outcome = {
+                pending: 'Fine appeal under review',
+                waived: `Fine appeal upheld: ${Utils.formatCurrency(appeal.waivedAmount)} waived`,
+                declined: 'Fine appeal declined'
+            }[appeal.status] || 'Fine appealed';
+
+            return `
+                <div class="submission-appeal appeal-${appeal.status}">
+                    ${outcome}${appeal.decisionReason ? ` · ${Utils.escapeHtml(appeal.decisionReason)}` : ''}
+                </div>
+            `;
+        }
+
+        const canAppeal = Utils.getNetFine(submission) > 0 && ['pending', 'verified'].includes(submission.status);
+        if (!canAppeal) return '';
+
+        return `
+            <button type="button" class="btn btn-ghost btn-sm appeal-toggle">Appeal fine</button>
+            <div class="appeal-form" style="display: none;">
+                <textarea class="form-textarea" rows="2" maxlength="500" placeholder="e.g., I paid on the 5th but the bank delayed the transfer"></textarea>
+                <button type="button" class="btn btn-secondary btn-sm appeal-submit">
+                    <span class="btn-text">Send Appeal</span>
+                    <span class="btn-loading" style="display: none;">
+                        <span class="spinner"></span>
+                        Sending...
+                    </span>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Lodge an appeal against a submission's late fine
+     */
+    async function handleAppeal(submission, card, button) {
+        const reason = card.querySelector('.appeal-form textarea').value.trim();
+
+        if (!reason) {
+            App.showToast('Please explain why the fine should be waived', 'warning');
+            return;
+        }
+
+        Utils.setButtonLoading(button, true);
+
+        try {
+            await Database.lodgeAppeal(submission.id, currentMember.phone, reason);
+            App.showToast('Appeal sent. The treasurer will review it.', 'success');
+            loadSubmissions();
+
+        } catch (error) {
+            console.error('Appeal error:', error);
+            App.showToast(error.message || 'Failed to send appeal', 'error');
+            Utils.setButtonLoading(button, false);
+        }
+    }
+
     /**
      * Get status CSS class
      */
@@ -356,6 +517,7 @@ const ViewAccount = (() => {
             case 'pending':
                 return 'warning';
             case 'rejected':
+            case 'reversed':
                 return 'error';
             default:
                 return 'default';
@@ -374,6 +536,8 @@ const ViewAccount = (() => {
                 return 'Pending';
             case 'rejected':
                 return 'Rejected';
+            case 'reversed':
+                return 'Reversed';
             default:
                 return status;
         }
@@ -0,0 +1,65 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - SERVICE WORKER
+ * =====================================================
+ * Prompts open submit pages to send the offline queue (js/offline-queue.js)
+ * when the connection returns. Firestore cannot run inside a service worker,
+ * so this sends nothing itself. With no page open nothing is sent: the sync
+ * fails, the browser may try it again later (how often is up to the browser),
+ * and the queue is sent the next time the submit page is opened.
+ */
+
+const SYNC_TAG = 'submit-queue';
+
+// How long to wait for a page to finish sending the queue
+const FLUSH_TIMEOUT_MS = 2 * 60 * 1000;
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(flushFromClients());
+    }
+});
+
+/**
+ * Ask the open pages to send the queue
+ * Rejects (so the browser retries the sync) unless a page sent everything
+ */
+async function flushFromClients() {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (clients.length === 0) {
+        throw new Error('No open page to send the queue');
+    }
+
+    const results = await Promise.all(clients.map(client => askClient(client, { type: 'flush-queue' })));
+    if (!results.some(result => result?.done)) {
+        throw new Error('Queued submissions are still waiting');
+    }
+}
+
+/**
+ * Post a message to a page and wait for its reply
+ * @param {Client} client - Window client
+ * @param {object} message - Message to send
+ * @returns {Promise<object|null>} Reply, or null if the page did not answer in time
+ */
+function askClient(client, message) {
+    return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), FLUSH_TIMEOUT_MS);
+
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+
+        client.postMessage(message, [channel.port2]);
+    });
+}